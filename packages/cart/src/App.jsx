@@ -4,6 +4,7 @@ import { Provider } from "react-redux";
 import { storeLoader } from "host/utils";
 import CartView from "./pages/CartView";
 import Checkout from "./pages/Checkout";
+import checkoutReducer, { CHECKOUT_KEY } from "./store/checkoutReducer";
 import "./App.css";
 
 function CartNavigation() {
@@ -32,6 +33,7 @@ function App() {
   const [store, setStore] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [isFallback, setIsFallback] = useState(false);
 
   useEffect(() => {
     let mounted = true;
@@ -42,6 +44,7 @@ function App() {
         const loadedStore = await storeLoader.loadStore();
         if (mounted) {
           setStore(loadedStore);
+          setIsFallback(storeLoader.isUsingFallback());
           setError(null);
         }
       } catch (err) {
@@ -68,6 +71,22 @@ function App() {
     };
   }, []);
 
+  // Swap to the host store once it shows up; the loader moves the fallback state over
+  useEffect(() => {
+    return storeLoader.onStoreChange((hostStore) => {
+      setStore(hostStore);
+      setIsFallback(false);
+      setError(null);
+    });
+  }, []);
+
+  // Register the slices this micro frontend owns on whichever store is active
+  useEffect(() => {
+    if (!store || !store.injectReducer) return undefined;
+    store.injectReducer(CHECKOUT_KEY, checkoutReducer, { owner: 'cart' });
+    return () => store.ejectReducer(CHECKOUT_KEY, { owner: 'cart' });
+  }, [store]);
+
   if (isLoading) {
     return (
       <div className="cart-app-wrapper">
@@ -99,7 +118,7 @@ function App() {
     <Provider store={store}>
       <BrowserRouter>
         <div className="cart-app-wrapper">
-          {error && (
+          {(error || isFallback) && (
             <div style={{ 
               background: '#fff3cd', 
               padding: '0.5rem', 
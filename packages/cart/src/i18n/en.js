@@ -0,0 +1,47 @@
+export default {
+  view: {
+    title: "Shopping Cart",
+    subtitle: "Review your items before checkout",
+    removed: "{name} removed",
+    undo: "Undo",
+    redo: "Redo",
+    syncFailed: "Your last change couldn't be saved, so it was undone.",
+    empty: "Your cart is empty",
+    continueShopping: "Continue Shopping",
+    recentlyAdded: "Recently added: {products}",
+    remove: "Remove",
+    proceedToCheckout: "Proceed to Checkout",
+    maxQuantity: "Maximum available: {count}",
+  },
+  stock: {
+    out_of_stock: "{name} is out of stock",
+    max_quantity: "Only {allowed} of {name} can be ordered",
+  },
+  checkout: {
+    title: "Checkout",
+    subtitle: "Complete your purchase",
+    backToCart: "← Back to Cart",
+    successTitle: "Order Placed Successfully!",
+    successText: "Thank you for your purchase. You will receive a confirmation email shortly.",
+    redirecting: "Redirecting to cart...",
+    shipping: "Shipping Information",
+    payment: "Payment Information",
+    fullName: "Full Name",
+    email: "Email",
+    address: "Address",
+    city: "City",
+    zipCode: "Zip Code",
+    cardNumber: "Card Number",
+    expiryDate: "Expiry Date",
+    cvv: "CVV",
+    signInRequired: "Please sign in to place your order.",
+    placeOrder: "Place Order",
+    orderSummary: "Order Summary",
+  },
+  summary: {
+    subtotal: "Subtotal:",
+    tax: "Tax:",
+    taxRate: "Tax ({rate}%):",
+    total: "Total:",
+  },
+};
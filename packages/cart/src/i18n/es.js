@@ -0,0 +1,47 @@
+export default {
+  view: {
+    title: "Carrito de compras",
+    subtitle: "Revisa tus artículos antes de pagar",
+    removed: "{name} eliminado",
+    undo: "Deshacer",
+    redo: "Rehacer",
+    syncFailed: "No se pudo guardar tu último cambio, así que se ha deshecho.",
+    empty: "Tu carrito está vacío",
+    continueShopping: "Seguir comprando",
+    recentlyAdded: "Añadido recientemente: {products}",
+    remove: "Eliminar",
+    proceedToCheckout: "Ir a pagar",
+    maxQuantity: "Máximo disponible: {count}",
+  },
+  stock: {
+    out_of_stock: "{name} está agotado",
+    max_quantity: "Solo se pueden pedir {allowed} de {name}",
+  },
+  checkout: {
+    title: "Pago",
+    subtitle: "Completa tu compra",
+    backToCart: "← Volver al carrito",
+    successTitle: "¡Pedido realizado con éxito!",
+    successText: "Gracias por tu compra. En breve recibirás un correo de confirmación.",
+    redirecting: "Volviendo al carrito...",
+    shipping: "Datos de envío",
+    payment: "Datos de pago",
+    fullName: "Nombre completo",
+    email: "Correo electrónico",
+    address: "Dirección",
+    city: "Ciudad",
+    zipCode: "Código postal",
+    cardNumber: "Número de tarjeta",
+    expiryDate: "Fecha de caducidad",
+    cvv: "CVV",
+    signInRequired: "Inicia sesión para realizar tu pedido.",
+    placeOrder: "Realizar pedido",
+    orderSummary: "Resumen del pedido",
+  },
+  summary: {
+    subtotal: "Subtotal:",
+    tax: "Impuestos:",
+    taxRate: "Impuestos ({rate}%):",
+    total: "Total:",
+  },
+};
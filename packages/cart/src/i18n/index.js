@@ -0,0 +1,31 @@
+import { useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+import { i18n } from "host/utils";
+import { selectUserPreferences } from "host/store";
+import en from "./en";
+
+export const NAMESPACE = "cart";
+
+// English ships with the bundle; other locales load when first selected
+i18n.registerNamespace(NAMESPACE, {
+  en,
+  es: () => import("./es"),
+});
+
+/**
+ * Cart messages in the language from the user's preferences.
+ * Re-renders when the locale switches or a locale bundle finishes loading.
+ */
+export const useTranslation = () => {
+  const { language } = useSelector(selectUserPreferences);
+  const [, setVersion] = useState(0);
+
+  useEffect(() => i18n.subscribe(() => setVersion((version) => version + 1)), []);
+
+  // The host does this too; needed when running standalone
+  useEffect(() => {
+    i18n.setLocale(language);
+  }, [language]);
+
+  return i18n.getFixedT(NAMESPACE);
+};
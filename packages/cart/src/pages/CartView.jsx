@@ -1,15 +1,48 @@
 import React, { useState, useEffect } from "react";
 import { Link } from "react-router-dom";
-import { useSelector, useDispatch } from "react-redux";
-import { updateQuantity, removeFromCart, clearCart } from "host/store";
-import { formatCurrency, calculateTotal, logger, eventEmitter, storage } from "host/utils";
+import { useSelector, useDispatch, useStore } from "react-redux";
+import {
+  updateQuantity,
+  removeFromCart,
+  restoreCartLine,
+  undoCart,
+  redoCart,
+  optimisticCartUpdate,
+  selectCartItems,
+  selectCartItemCount,
+  selectCartLineItems,
+  selectCartSummary,
+  selectCartStockLimit,
+  selectCanUndoCart,
+  selectCanRedoCart,
+  selectUserPreferences,
+  getMaxQuantity,
+  getRemainingQuantity,
+  formatCartLineOptions,
+  getOtherLinesQuantity,
+  TAX_RATE,
+} from "host/store";
+import { utilsLoader } from "host/utils";
+import { getCartSync } from "../store/cartSync";
+import { useTranslation } from "../i18n";
 import "../App.css";
 
 function CartView() {
   const dispatch = useDispatch();
+  const store = useStore();
+  const t = useTranslation();
   const [utils, setUtils] = useState(null);
-  const cartItems = useSelector((state) => state.cart.items);
-  const cartTotal = useSelector((state) => state.cart.total);
+  const [recentlyAdded, setRecentlyAdded] = useState([]);
+  const [removedLine, setRemovedLine] = useState(null);
+  const [syncFailed, setSyncFailed] = useState(false);
+  const cartItems = useSelector(selectCartItems);
+  const lineItems = useSelector(selectCartLineItems);
+  const itemCount = useSelector(selectCartItemCount);
+  const { subtotal, tax, total } = useSelector(selectCartSummary);
+  const stockLimit = useSelector(selectCartStockLimit);
+  const canUndo = useSelector(selectCanUndoCart);
+  const canRedo = useSelector(selectCanRedoCart);
+  const { currency, language } = useSelector(selectUserPreferences);
 
   // Load utils safely
   useEffect(() => {
@@ -25,109 +58,178 @@ function CartView() {
     loadUtils();
   }, []);
 
-  // Listen to product-added events from other micro frontends
+  // Listen to product-added events from other micro frontends, replaying the
+  // ones emitted before this view mounted (e.g. while the user was on /products)
   useEffect(() => {
     if (!utils) return;
 
     const handleProductAdded = (data) => {
       utils.logger?.info('Product added event received:', data);
-      // Could update UI or show notification
+      setRecentlyAdded(prev => [...prev, data].slice(-3));
     };
 
-    utils.eventEmitter?.on('product-added', handleProductAdded);
-
-    // Save cart to localStorage using shared utility
-    utils.storage?.set('cart', cartItems);
+    utils.eventEmitter?.on('product-added', handleProductAdded, { replay: 3 });
 
     return () => {
       utils.eventEmitter?.off('product-added', handleProductAdded);
     };
-  }, [cartItems, utils]);
+  }, [utils]);
+
+  // Tell the other micro frontends about every change made here (cart-updated
+  // is sticky, so badges mounted later still get the latest count)
+  useEffect(() => {
+    if (!utils) return;
+    utils.eventEmitter?.emit('cart-updated', { itemCount, total });
+  }, [utils, itemCount, total]);
+
+  // Hide the undo toast after a few seconds
+  useEffect(() => {
+    if (!removedLine) return;
+    const timer = setTimeout(() => setRemovedLine(null), 5000);
+    return () => clearTimeout(timer);
+  }, [removedLine]);
 
   const formatCurrency = (amount) => {
     if (utils && utils.formatCurrency) {
-      return utils.formatCurrency(amount);
+      return utils.formatCurrency(amount, currency, language);
     }
-    return `$${amount.toFixed(2)}`;
+    return new Intl.NumberFormat(language, { style: "currency", currency }).format(amount);
   };
 
-  const calculateTotal = (amount, taxRate = 0.1) => {
-    if (utils && utils.calculateTotal) {
-      return utils.calculateTotal(amount, taxRate);
-    }
-    return amount * (1 + taxRate);
+  // Show a change right away and undo it if the cart can't be saved
+  const applyChange = (action) => {
+    setSyncFailed(false);
+    dispatch(optimisticCartUpdate(action, () => getCartSync().save(store.getState().cart.items)))
+      .catch((err) => {
+        console.error('Failed to save the cart:', err);
+        setSyncFailed(true);
+      });
   };
 
-  const tax = calculateTotal(cartTotal, 0.1) - cartTotal;
-  const totalWithTax = calculateTotal(cartTotal, 0.1);
-
-  const handleUpdateQuantity = (id, change) => {
-    const item = cartItems.find(item => item.id === id);
+  const handleUpdateQuantity = (lineId, change) => {
+    const item = lineItems.find(item => item.lineId === lineId);
     if (item) {
       const newQuantity = Math.max(0, item.quantity + change);
       if (newQuantity === 0) {
-        dispatch(removeFromCart(id));
+        handleRemoveItem(lineId);
       } else {
-        dispatch(updateQuantity(id, newQuantity));
+        applyChange(updateQuantity(lineId, newQuantity));
       }
     }
   };
 
-  const handleRemoveItem = (id) => {
-    dispatch(removeFromCart(id));
+  // Remember the line and where it was, so undo brings back that line even
+  // if the cart changed since
+  const handleRemoveItem = (lineId) => {
+    const index = lineItems.findIndex(item => item.lineId === lineId);
+    setRemovedLine(index === -1 ? null : { item: cartItems[index], index });
+    applyChange(removeFromCart(lineId));
+  };
+
+  const handleUndoRemove = () => {
+    applyChange(restoreCartLine(removedLine.item, removedLine.index));
+    setRemovedLine(null);
   };
 
   return (
     <div className="cart-app">
-      <h1>Shopping Cart</h1>
-      <p className="subtitle">Review your items before checkout</p>
+      <h1>{t("view.title")}</h1>
+      <p className="subtitle">{t("view.subtitle")}</p>
+
+      <div className="history-controls">
+        <button onClick={() => dispatch(undoCart())} disabled={!canUndo}>
+          {t("view.undo")}
+        </button>
+        <button onClick={() => dispatch(redoCart())} disabled={!canRedo}>
+          {t("view.redo")}
+        </button>
+      </div>
+
+      {removedLine && (
+        <div className="undo-toast" role="status">
+          <span>{t("view.removed", { name: removedLine.item.name })}</span>
+          <button className="undo-btn" onClick={handleUndoRemove}>
+            {t("view.undo")}
+          </button>
+        </div>
+      )}
+
+      {syncFailed && (
+        <p className="stock-notice" role="alert">{t("view.syncFailed")}</p>
+      )}
+
+      {stockLimit && (
+        <p className="stock-notice" role="alert">
+          {t(`stock.${stockLimit.reason}`, stockLimit)}
+        </p>
+      )}
 
       {cartItems.length === 0 ? (
         <div className="empty-cart">
-          <p>Your cart is empty</p>
-          <Link to="/" className="shop-now-btn">Continue Shopping</Link>
+          <p>{t("view.empty")}</p>
+          <Link to="/" className="shop-now-btn">{t("view.continueShopping")}</Link>
         </div>
       ) : (
         <>
+          {recentlyAdded.length > 0 && (
+            <p className="recently-added">
+              {t("view.recentlyAdded", { products: recentlyAdded.map(event => event.product).join(", ") })}
+            </p>
+          )}
           <div className="cart-items">
-            {cartItems.map((item) => (
-              <div key={item.id} className="cart-item">
-                <div className="item-info">
-                  <h3>{item.name}</h3>
-                  <p className="item-price">${item.price}</p>
-                </div>
-                <div className="quantity-controls">
-                  <button onClick={() => handleUpdateQuantity(item.id, -1)}>-</button>
-                  <span className="quantity">{item.quantity}</span>
-                  <button onClick={() => handleUpdateQuantity(item.id, 1)}>+</button>
-                </div>
-                <div className="item-total">
-                  {formatCurrency(item.price * item.quantity)}
+            {lineItems.map((item) => {
+              const otherLinesQuantity = getOtherLinesQuantity(cartItems, item);
+              const atLimit = getRemainingQuantity(item, item.quantity, otherLinesQuantity) === 0;
+              return (
+                <div key={item.lineId} className="cart-item">
+                  <div className="item-info">
+                    <h3>{item.name}</h3>
+                    {item.options && (
+                      <p className="item-options">{formatCartLineOptions(item)}</p>
+                    )}
+                    <p className="item-price">{formatCurrency(item.price)}</p>
+                    {atLimit && (
+                      <p className="item-limit">{t("view.maxQuantity", { count: getMaxQuantity(item, otherLinesQuantity) })}</p>
+                    )}
+                  </div>
+                  <div className="quantity-controls">
+                    <button onClick={() => handleUpdateQuantity(item.lineId, -1)}>-</button>
+                    <span className="quantity">{item.quantity}</span>
+                    <button
+                      onClick={() => handleUpdateQuantity(item.lineId, 1)}
+                      disabled={atLimit}
+                    >
+                      +
+                    </button>
+                  </div>
+                  <div className="item-total">
+                    {formatCurrency(item.subtotal)}
+                  </div>
+                  <button
+                    className="remove-btn"
+                    onClick={() => handleRemoveItem(item.lineId)}
+                  >
+                    {t("view.remove")}
+                  </button>
                 </div>
-                <button
-                  className="remove-btn"
-                  onClick={() => handleRemoveItem(item.id)}
-                >
-                  Remove
-                </button>
-              </div>
-            ))}
+              );
+            })}
           </div>
           <div className="cart-summary">
             <div className="summary-row">
-              <span>Subtotal:</span>
-              <span>{formatCurrency(cartTotal)}</span>
+              <span>{t("summary.subtotal")}</span>
+              <span>{formatCurrency(subtotal)}</span>
             </div>
             <div className="summary-row">
-              <span>Tax (10%):</span>
+              <span>{t("summary.taxRate", { rate: TAX_RATE * 100 })}</span>
               <span>{formatCurrency(tax)}</span>
             </div>
             <div className="summary-row total">
-              <span>Total:</span>
-              <span>{formatCurrency(totalWithTax)}</span>
+              <span>{t("summary.total")}</span>
+              <span>{formatCurrency(total)}</span>
             </div>
             <Link to="/checkout" className="checkout-btn">
-              Proceed to Checkout
+              {t("view.proceedToCheckout")}
             </Link>
           </div>
         </>
@@ -1,21 +1,31 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import { Link, useNavigate } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  selectCartLineItems,
+  selectCartSummary,
+  selectIsSignedIn,
+  selectUser,
+  selectUserPreferences,
+  formatCartLineOptions,
+} from "host/store";
+import { formatCurrency } from "host/utils";
+import { placeOrder, resetCheckout, selectCheckout } from "../store/checkoutReducer";
+import { useTranslation } from "../i18n";
 import "../App.css";
 
-const cartItems = [
-  { id: 1, name: "Laptop", price: 999, quantity: 1 },
-  { id: 2, name: "Phone", price: 699, quantity: 2 },
-];
-
-const subtotal = cartItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
-const tax = subtotal * 0.1;
-const total = subtotal + tax;
-
 function Checkout() {
   const navigate = useNavigate();
+  const t = useTranslation();
+  const cartItems = useSelector(selectCartLineItems);
+  const { subtotal, tax, total } = useSelector(selectCartSummary);
+  // The host guards this page; the check here also covers standalone mode
+  const isSignedIn = useSelector(selectIsSignedIn);
+  const user = useSelector(selectUser);
+  const { currency, language } = useSelector(selectUserPreferences);
   const [formData, setFormData] = useState({
-    name: "",
-    email: "",
+    name: user?.name || "",
+    email: user?.email || "",
     address: "",
     city: "",
     zipCode: "",
@@ -23,7 +33,14 @@ function Checkout() {
     expiryDate: "",
     cvv: "",
   });
-  const [orderPlaced, setOrderPlaced] = useState(false);
+  const dispatch = useDispatch();
+  const { status } = useSelector(selectCheckout);
+  const orderPlaced = status === "placed";
+
+  // Start from a fresh checkout every time the page opens
+  useEffect(() => {
+    dispatch(resetCheckout());
+  }, [dispatch]);
 
   const handleChange = (e) => {
     setFormData({
@@ -35,7 +52,12 @@ function Checkout() {
   const handleSubmit = (e) => {
     e.preventDefault();
     // Simulate order placement
-    setOrderPlaced(true);
+    dispatch(placeOrder({
+      name: formData.name,
+      email: formData.email,
+      total,
+      placedAt: new Date().toISOString(),
+    }));
     setTimeout(() => {
       navigate("/cart");
     }, 3000);
@@ -46,9 +68,9 @@ function Checkout() {
       <div className="cart-app">
         <div className="order-success">
           <div className="success-icon">✓</div>
-          <h1>Order Placed Successfully!</h1>
-          <p>Thank you for your purchase. You will receive a confirmation email shortly.</p>
-          <p>Redirecting to cart...</p>
+          <h1>{t("checkout.successTitle")}</h1>
+          <p>{t("checkout.successText")}</p>
+          <p>{t("checkout.redirecting")}</p>
         </div>
       </div>
     );
@@ -57,18 +79,18 @@ function Checkout() {
   return (
     <div className="cart-app">
       <button onClick={() => navigate(-1)} className="back-btn">
-        ← Back to Cart
+        {t("checkout.backToCart")}
       </button>
       
-      <h1>Checkout</h1>
-      <p className="subtitle">Complete your purchase</p>
+      <h1>{t("checkout.title")}</h1>
+      <p className="subtitle">{t("checkout.subtitle")}</p>
 
       <div className="checkout-container">
         <div className="checkout-form-section">
-          <h2>Shipping Information</h2>
+          <h2>{t("checkout.shipping")}</h2>
           <form onSubmit={handleSubmit}>
             <div className="form-group">
-              <label>Full Name</label>
+              <label>{t("checkout.fullName")}</label>
               <input
                 type="text"
                 name="name"
@@ -78,7 +100,7 @@ function Checkout() {
               />
             </div>
             <div className="form-group">
-              <label>Email</label>
+              <label>{t("checkout.email")}</label>
               <input
                 type="email"
                 name="email"
@@ -88,7 +110,7 @@ function Checkout() {
               />
             </div>
             <div className="form-group">
-              <label>Address</label>
+              <label>{t("checkout.address")}</label>
               <input
                 type="text"
                 name="address"
@@ -99,7 +121,7 @@ function Checkout() {
             </div>
             <div className="form-row">
               <div className="form-group">
-                <label>City</label>
+                <label>{t("checkout.city")}</label>
                 <input
                   type="text"
                   name="city"
@@ -109,7 +131,7 @@ function Checkout() {
                 />
               </div>
               <div className="form-group">
-                <label>Zip Code</label>
+                <label>{t("checkout.zipCode")}</label>
                 <input
                   type="text"
                   name="zipCode"
@@ -120,9 +142,9 @@ function Checkout() {
               </div>
             </div>
 
-            <h2>Payment Information</h2>
+            <h2>{t("checkout.payment")}</h2>
             <div className="form-group">
-              <label>Card Number</label>
+              <label>{t("checkout.cardNumber")}</label>
               <input
                 type="text"
                 name="cardNumber"
@@ -134,7 +156,7 @@ function Checkout() {
             </div>
             <div className="form-row">
               <div className="form-group">
-                <label>Expiry Date</label>
+                <label>{t("checkout.expiryDate")}</label>
                 <input
                   type="text"
                   name="expiryDate"
@@ -145,7 +167,7 @@ function Checkout() {
                 />
               </div>
               <div className="form-group">
-                <label>CVV</label>
+                <label>{t("checkout.cvv")}</label>
                 <input
                   type="text"
                   name="cvv"
@@ -157,34 +179,42 @@ function Checkout() {
               </div>
             </div>
 
-            <button type="submit" className="place-order-btn">
-              Place Order
+            {!isSignedIn && (
+              <p className="sign-in-required">{t("checkout.signInRequired")}</p>
+            )}
+            <button type="submit" className="place-order-btn" disabled={!isSignedIn}>
+              {t("checkout.placeOrder")}
             </button>
           </form>
         </div>
 
         <div className="checkout-summary-section">
-          <h2>Order Summary</h2>
+          <h2>{t("checkout.orderSummary")}</h2>
           <div className="checkout-items">
             {cartItems.map((item) => (
-              <div key={item.id} className="checkout-item">
-                <span>{item.name} x{item.quantity}</span>
-                <span>${(item.price * item.quantity).toFixed(2)}</span>
+              <div key={item.lineId} className="checkout-item">
+                <span>
+                  {item.name} x{item.quantity}
+                  {item.options && (
+                    <small className="item-options">{formatCartLineOptions(item)}</small>
+                  )}
+                </span>
+                <span>{formatCurrency(item.subtotal, currency, language)}</span>
               </div>
             ))}
           </div>
           <div className="checkout-totals">
             <div className="summary-row">
-              <span>Subtotal:</span>
-              <span>${subtotal.toFixed(2)}</span>
+              <span>{t("summary.subtotal")}</span>
+              <span>{formatCurrency(subtotal, currency, language)}</span>
             </div>
             <div className="summary-row">
-              <span>Tax:</span>
-              <span>${tax.toFixed(2)}</span>
+              <span>{t("summary.tax")}</span>
+              <span>{formatCurrency(tax, currency, language)}</span>
             </div>
             <div className="summary-row total">
-              <span>Total:</span>
-              <span>${total.toFixed(2)}</span>
+              <span>{t("summary.total")}</span>
+              <span>{formatCurrency(total, currency, language)}</span>
             </div>
           </div>
         </div>
@@ -0,0 +1,34 @@
+/**
+ * Cart Sync
+ * Where the cart view confirms its changes. Every adapter implements:
+ *   save(items) → Promise<{ success: true } | { success: false, error }>
+ *
+ * The view applies a change right away (optimisticCartUpdate) and rolls it
+ * back when save fails.
+ */
+
+import { apiCall } from "host/utils";
+
+// Keeps the cart in the browser only, so every change is confirmed
+export const createLocalCartSync = () => ({
+  save: () => Promise.resolve({ success: true }),
+});
+
+/**
+ * Saves the cart lines to a REST endpoint: PUT {url} with { items }
+ */
+export const createHttpCartSync = ({ url = "/api/cart", request = apiCall } = {}) => ({
+  save: (items) => request(url, { method: "PUT", body: JSON.stringify({ items }) }),
+});
+
+let cartSync = createLocalCartSync();
+
+/**
+ * Swap where changes are saved, e.g. to createHttpCartSync() once a backend exists
+ */
+export const configureCartSync = (sync) => {
+  cartSync = sync;
+  return cartSync;
+};
+
+export const getCartSync = () => cartSync;
@@ -0,0 +1,45 @@
+/**
+ * Checkout Slice
+ * Owned by the cart micro frontend and injected into the shared store on mount
+ */
+
+export const CHECKOUT_KEY = 'checkout';
+
+export const PLACE_ORDER = 'cart/PLACE_ORDER';
+export const RESET_CHECKOUT = 'cart/RESET_CHECKOUT';
+
+export const placeOrder = (order) => ({
+  type: PLACE_ORDER,
+  payload: order,
+});
+
+export const resetCheckout = () => ({
+  type: RESET_CHECKOUT,
+});
+
+const initialState = {
+  status: 'idle',
+  order: null,
+};
+
+const checkoutReducer = (state = initialState, action) => {
+  switch (action.type) {
+    case PLACE_ORDER:
+      return {
+        ...state,
+        status: 'placed',
+        order: action.payload,
+      };
+
+    case RESET_CHECKOUT:
+      return initialState;
+
+    default:
+      return state;
+  }
+};
+
+// The slice is missing until the reducer has been injected
+export const selectCheckout = (state) => state[CHECKOUT_KEY] || initialState;
+
+export default checkoutReducer;
@@ -1,15 +1,20 @@
+const path = require('path');
+
 module.exports = {
   testEnvironment: 'jsdom',
   setupFilesAfterEnv: ['<rootDir>/src/__tests__/setup.js'],
   moduleNameMapper: {
     '^host/store$': '<rootDir>/src/store/index.js',
     '^host/utils$': '<rootDir>/../shared-utils/src/index.js',
+    '^shared-store(.*)$': '<rootDir>/../shared-store/src$1',
     '^product/ProductApp$': '<rootDir>/../product/src/App.jsx',
     '^cart/CartApp$': '<rootDir>/../cart/src/App.jsx',
     '\\.(css|less|scss|sass)$': 'identity-obj-proxy',
   },
+  // The suites also import the remotes and shared packages, which a .babelrc
+  // in this package wouldn't cover, so its config is passed for every file
   transform: {
-    '^.+\\.(js|jsx)$': 'babel-jest',
+    '^.+\\.(js|jsx)$': ['babel-jest', { babelrc: false, configFile: path.join(__dirname, '.babelrc') }],
   },
   transformIgnorePatterns: [
     'node_modules/(?!(react|react-dom|react-router-dom|@testing-library|redux|react-redux)/)',
@@ -1,56 +1,123 @@
-import React, { Suspense } from "react";
+import React, { Suspense, Fragment } from "react";
 import { BrowserRouter, Routes, Route, Link } from "react-router-dom";
-import { Provider } from "react-redux";
-import store from "./store";
+import { Provider, useDispatch, useSelector } from "react-redux";
+import store, { logoutUser, selectIsSignedIn, selectUser } from "./store";
+import { useRemoteManifest } from "./remotes/useRemoteManifest";
+import RemoteRoute from "./remotes/RemoteRoute";
+import RequireAuth from "./auth/RequireAuth";
+import PreferencesProvider from "./preferences/PreferencesProvider";
+import { useTranslation } from "./i18n";
 import "./App.css";
 
-// Lazy load remote components
-const ProductApp = React.lazy(() => import("product/ProductApp"));
-const CartApp = React.lazy(() => import("cart/CartApp"));
+// Lazy load host pages; remote micro frontends come from the manifest
 const CommunicationExamples = React.lazy(() => import("./pages/CommunicationExamples"));
 const UtilsExample = React.lazy(() => import("./pages/UtilsExample"));
+const Login = React.lazy(() => import("./pages/Login"));
+
+function RemoteLinks({ remotes }) {
+  return remotes.map((remote, index) => (
+    <Fragment key={remote.name}>
+      {index > 0 && " | "}
+      <Link to={remote.path}>{remote.label}</Link>
+    </Fragment>
+  ));
+}
+
+function SessionLinks() {
+  const t = useTranslation();
+  const dispatch = useDispatch();
+  const isSignedIn = useSelector(selectIsSignedIn);
+  const user = useSelector(selectUser);
+
+  if (!isSignedIn) {
+    return <Link to="/login">{t("nav.signIn")}</Link>;
+  }
+
+  return (
+    <>
+      <span className="session-user">{user?.name}</span>{" "}
+      <button className="sign-out-btn" onClick={() => dispatch(logoutUser())}>
+        {t("nav.signOut")}
+      </button>
+    </>
+  );
+}
+
+function Home({ remotes }) {
+  const t = useTranslation();
 
-function Home() {
   return (
     <div className="home">
-      <h1>Welcome to Micro Frontend Architecture</h1>
-      <p>This is the Host/Shell application</p>
+      <h1>{t("home.title")}</h1>
+      <p>{t("home.subtitle")}</p>
       <nav>
-        <Link to="/products">Products</Link> | <Link to="/cart">Cart</Link>
+        <RemoteLinks remotes={remotes} />
       </nav>
     </div>
   );
 }
 
+function Shell() {
+  const t = useTranslation();
+  const { remotes, isLoading, error } = useRemoteManifest();
+
+  return (
+    <div className="app">
+      <header className="app-header">
+        <h1>{t("title")}</h1>
+        <nav>
+        <Link to="/">{t("nav.home")}</Link> |{" "}
+        {remotes.length > 0 && (
+          <>
+            <RemoteLinks remotes={remotes} /> |{" "}
+          </>
+        )}
+        <Link to="/communication">{t("nav.communication")}</Link> |{" "}
+        <Link to="/utils">{t("nav.utils")}</Link> |{" "}
+        <SessionLinks />
+        </nav>
+      </header>
+      <main className="app-main">
+        {error && (
+          <div className="manifest-error">
+            {t("remotesUnavailable", { error })}
+          </div>
+        )}
+        <Suspense fallback={<div>{t("loading")}</div>}>
+          <Routes>
+          <Route path="/" element={<Home remotes={remotes} />} />
+          {remotes.map((remote) => (
+            <Route
+              key={remote.name}
+              path={`${remote.path}/*`}
+              element={
+                <RequireAuth paths={remote.protectedPaths.map((path) => `${remote.path}${path}`)}>
+                  <RemoteRoute remote={remote} />
+                </RequireAuth>
+              }
+            />
+          ))}
+          <Route path="/communication" element={<CommunicationExamples />} />
+          <Route path="/utils" element={<UtilsExample />} />
+          <Route path="/login" element={<Login />} />
+          {isLoading && <Route path="*" element={<div>{t("loading")}</div>} />}
+          </Routes>
+        </Suspense>
+      </main>
+    </div>
+  );
+}
+
 function App() {
   return (
     <Provider store={store}>
-      <BrowserRouter>
-        <div className="app">
-          <header className="app-header">
-            <h1>Micro Frontend Host Application</h1>
-            <nav>
-            <Link to="/">Home</Link> | <Link to="/products">Products</Link> |{" "}
-            <Link to="/cart">Cart</Link> | <Link to="/communication">Communication</Link> |{" "}
-            <Link to="/utils">Shared Utils</Link>
-            </nav>
-          </header>
-          <main className="app-main">
-            <Suspense fallback={<div>Loading...</div>}>
-              <Routes>
-              <Route path="/" element={<Home />} />
-              <Route path="/products/*" element={<ProductApp />} />
-              <Route path="/cart/*" element={<CartApp />} />
-              <Route path="/communication" element={<CommunicationExamples />} />
-              <Route path="/utils" element={<UtilsExample />} />
-              </Routes>
-            </Suspense>
-          </main>
-        </div>
-      </BrowserRouter>
+      <PreferencesProvider>
+        <BrowserRouter>
+          <Shell />
+        </BrowserRouter>
+      </PreferencesProvider>
     </Provider>
   );
 }
 
 export default App;
-
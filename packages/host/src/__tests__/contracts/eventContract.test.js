@@ -0,0 +1,155 @@
+/**
+ * Contract Testing for Shared Events
+ *
+ * Tests that verify every event emitted by a micro frontend has a registered
+ * contract and that emitted payloads match it.
+ */
+
+const path = require('path');
+const React = require('react');
+const { render, screen, fireEvent, waitFor, act } = require('@testing-library/react');
+const { findEmittedEvents, recordEmits, checkEmitsAgainstContracts } = require('./eventContractHelpers');
+
+describe('Event Contract Tests', () => {
+  let utils;
+  let store;
+
+  const renderWithStore = (element, initialEntries = ['/']) => {
+    const { Provider } = require('react-redux');
+    const { MemoryRouter } = require('react-router-dom');
+    return render(
+      React.createElement(Provider, { store },
+        React.createElement(MemoryRouter, { initialEntries }, element)
+      )
+    );
+  };
+
+  beforeAll(async () => {
+    utils = require('host/utils');
+    store = require('host/store').default;
+    await utils.utilsLoader.loadUtils();
+    window.alert = jest.fn();
+  });
+
+  describe('Registry Contract', () => {
+    test('Every emitted event should have a registered contract', () => {
+      const packagesDir = path.resolve(__dirname, '../../../..');
+      const emitted = findEmittedEvents(['host', 'product', 'cart'].map(name => path.join(packagesDir, name, 'src')));
+
+      const unregistered = emitted
+        .filter(({ event }) => !utils.eventEmitter.getDefinition(event))
+        .map(({ event, file }) => `${event} (${path.relative(packagesDir, file)})`);
+
+      expect(emitted.length).toBeGreaterThan(0);
+      expect(unregistered).toEqual([]);
+    });
+
+    test('Contracts should carry a name, version and payload spec', () => {
+      utils.eventContracts.forEach((contract) => {
+        expect(typeof contract.name).toBe('string');
+        expect(Number.isInteger(contract.version)).toBe(true);
+        expect(contract.payload).toHaveProperty('type', 'object');
+      });
+    });
+  });
+
+  describe('Validation Contract', () => {
+    afterEach(() => {
+      utils.eventEmitter.setValidationMode('off');
+    });
+
+    test('Reject mode should stop mismatching payloads before delivery', () => {
+      const listener = jest.fn();
+      utils.eventEmitter.on('product-added', listener);
+      utils.eventEmitter.setValidationMode('reject');
+
+      expect(() => utils.eventEmitter.emit('product-added', { product: 'Laptop' })).toThrow('does not match its contract');
+      expect(listener).not.toHaveBeenCalled();
+
+      utils.eventEmitter.off('product-added', listener);
+    });
+
+    test('Warn mode should still deliver mismatching payloads', () => {
+      const listener = jest.fn();
+      utils.eventEmitter.on('cart-updated', listener);
+      utils.eventEmitter.setValidationMode('warn');
+
+      utils.eventEmitter.emit('cart-updated', { itemCount: -1 });
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('itemCount should be >= 0'));
+      expect(listener).toHaveBeenCalled();
+
+      utils.eventEmitter.off('cart-updated', listener);
+    });
+  });
+
+  describe('Emitter Contract', () => {
+    test('ProductList should emit product-added matching its contract', async () => {
+      const ProductList = require('../../../../product/src/pages/ProductList').default;
+      renderWithStore(React.createElement(ProductList));
+
+      const emits = await recordEmits(utils.eventEmitter, () => waitFor(() => {
+        fireEvent.click(screen.getAllByText('Add to Cart')[0]);
+        expect(utils.eventEmitter.emit).toHaveBeenCalled();
+      }));
+
+      expect(emits.length).toBeGreaterThan(0);
+      expect(checkEmitsAgainstContracts(emits, utils.eventEmitter, utils.validateSchema)).toEqual([]);
+    });
+
+    test('ProductDetail should emit product-added matching its contract', async () => {
+      const { Routes, Route } = require('react-router-dom');
+      const ProductDetail = require('../../../../product/src/pages/ProductDetail').default;
+      renderWithStore(
+        React.createElement(Routes, null,
+          React.createElement(Route, { path: '/detail/:id', element: React.createElement(ProductDetail) })
+        ),
+        ['/detail/1']
+      );
+      // Wait for the page's utilities, so clicks don't use up the variant's stock first
+      await act(() => utils.utilsLoader.loadUtils());
+
+      const emits = await recordEmits(utils.eventEmitter, () => waitFor(() => {
+        fireEvent.click(screen.getByText('Add to Cart'));
+        expect(utils.eventEmitter.emit).toHaveBeenCalled();
+      }));
+
+      expect(checkEmitsAgainstContracts(emits, utils.eventEmitter, utils.validateSchema)).toEqual([]);
+    });
+
+    test('CartView should emit cart-updated matching its contract', async () => {
+      const { addToCart } = require('host/store');
+      const CartView = require('../../../../cart/src/pages/CartView').default;
+      act(() => {
+        store.dispatch(addToCart({ id: 42, name: 'Cable', price: 9.5 }));
+      });
+      renderWithStore(React.createElement(CartView));
+      await act(() => utils.utilsLoader.loadUtils());
+
+      const emits = await recordEmits(utils.eventEmitter, () => waitFor(() => {
+        fireEvent.click(screen.getAllByText('Remove')[0]);
+        expect(utils.eventEmitter.emit).toHaveBeenCalledWith('cart-updated', expect.anything());
+      }));
+
+      expect(emits.filter(({ event }) => event === 'cart-updated').pop().data)
+        .toEqual({ itemCount: store.getState().cart.itemCount, total: expect.any(Number) });
+      expect(checkEmitsAgainstContracts(emits, utils.eventEmitter, utils.validateSchema)).toEqual([]);
+      expect(utils.eventEmitter.getLatest('cart-updated')).toMatchObject({ itemCount: store.getState().cart.itemCount });
+    });
+
+    test('Host example pages should emit events matching their contracts', async () => {
+      const CommunicationExamples = require('../../pages/CommunicationExamples').default;
+      const bridge = utils.createWindowEventBridge(utils.eventEmitter, ['product-added', 'cart-updated', 'user-action']);
+      renderWithStore(React.createElement(CommunicationExamples));
+
+      const emits = await recordEmits(utils.eventEmitter, () => {
+        fireEvent.click(screen.getByText('Dispatch Product Added'));
+        fireEvent.click(screen.getByText('Dispatch Cart Updated'));
+        fireEvent.click(screen.getByText('Dispatch User Action'));
+      });
+
+      bridge.disconnect();
+      expect(emits.map(({ event }) => event)).toEqual(['product-added', 'cart-updated', 'user-action']);
+      expect(checkEmitsAgainstContracts(emits, utils.eventEmitter, utils.validateSchema)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Event Contract Test Helpers
+ *
+ * Shared helpers for checking event emitters against the event contract registry.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// emitter.emit('name', ...) / emitter?.emit('name', ...) and dispatchEvent('name', ...) / new CustomEvent('name', ...)
+const EVENT_PATTERNS = [
+  /\.emit\(\s*['"]([\w:.-]+)['"]/g,
+  /(?:dispatchEvent|new CustomEvent)\(\s*['"]([\w:.-]+)['"]/g,
+];
+
+const listSourceFiles = (dir) => {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return entry.name === '__tests__' || entry.name === 'node_modules' ? [] : listSourceFiles(fullPath);
+    }
+    return /\.(js|jsx)$/.test(entry.name) ? [fullPath] : [];
+  });
+};
+
+/**
+ * Find every event name emitted in the given source directories
+ * Returns [{ event, file }]
+ */
+const findEmittedEvents = (dirs) => {
+  return dirs.flatMap(dir => listSourceFiles(dir)).flatMap((file) => {
+    const source = fs.readFileSync(file, 'utf8');
+    return EVENT_PATTERNS.flatMap(pattern =>
+      Array.from(source.matchAll(pattern), match => ({ event: match[1], file }))
+    );
+  });
+};
+
+/**
+ * Record every emit on an emitter while `fn` runs
+ * Returns [{ event, data }]
+ */
+const recordEmits = async (emitter, fn) => {
+  const spy = jest.spyOn(emitter, 'emit');
+  try {
+    await fn();
+    return spy.mock.calls.map(([event, data]) => ({ event, data }));
+  } finally {
+    spy.mockRestore();
+  }
+};
+
+/**
+ * Check recorded emits against the registered contracts
+ * Returns a list of problems (empty when every emit matches)
+ */
+const checkEmitsAgainstContracts = (emits, emitter, validateSchema) => {
+  return emits.flatMap(({ event, data }) => {
+    const definition = emitter.getDefinition(event);
+    if (!definition) {
+      return [`"${event}" has no registered contract`];
+    }
+    return validateSchema(definition.payload, data).map(error => `"${event}" v${definition.version}: ${error}`);
+  });
+};
+
+module.exports = {
+  findEmittedEvents,
+  recordEmits,
+  checkEmitsAgainstContracts,
+};
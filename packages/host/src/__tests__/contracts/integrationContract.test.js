@@ -76,4 +76,283 @@ describe('Integration Contract Tests', () => {
       expect(() => logger.info('Test')).not.toThrow();
     });
   });
+
+  describe('User Preferences Integration', () => {
+    const React = require('react');
+    const { render, screen, act, cleanup } = require('@testing-library/react');
+    const { Provider, useSelector } = require('react-redux');
+
+    afterEach(() => {
+      cleanup();
+      require('host/utils').configureFormatting({ currency: 'USD', locale: 'en-US' });
+    });
+
+    test('Preference changes should re-theme the shell and re-format remote prices', () => {
+      const { createStore } = require('redux');
+      const { createRootReducer, updateUserPreferences, selectUserPreferences } = require('shared-store');
+      const { formatCurrency, getFormattingDefaults } = require('host/utils');
+      const PreferencesProvider = require('../../preferences/PreferencesProvider').default;
+      const store = createStore(createRootReducer());
+
+      // Stands in for a remote component formatting a price
+      const Price = () => {
+        const { currency, language } = useSelector(selectUserPreferences);
+        return React.createElement('span', null, formatCurrency(10, currency, language));
+      };
+
+      render(
+        React.createElement(Provider, { store },
+          React.createElement(PreferencesProvider, null, React.createElement(Price))
+        )
+      );
+
+      expect(document.documentElement.dataset.theme).toBe('light');
+      expect(screen.getByText('$10.00')).toBeInTheDocument();
+
+      act(() => {
+        store.dispatch(updateUserPreferences({ theme: 'dark', currency: 'EUR', language: 'de-DE' }));
+      });
+
+      expect(document.documentElement.dataset.theme).toBe('dark');
+      expect(document.documentElement.style.getPropertyValue('--mf-surface')).toBe('#1e1e2a');
+      expect(document.documentElement.lang).toBe('de-DE');
+      expect(screen.getByText(/10,00\s€/)).toBeInTheDocument();
+      expect(getFormattingDefaults()).toEqual({ currency: 'EUR', locale: 'de-DE' });
+    });
+
+    test('Remote messages should follow the language preference', async () => {
+      const { createStore } = require('redux');
+      const { MemoryRouter } = require('react-router-dom');
+      const { createRootReducer, updateUserPreferences } = require('shared-store');
+      const { i18n } = require('host/utils');
+      const PreferencesProvider = require('../../preferences/PreferencesProvider').default;
+      const CartView = require('../../../../cart/src/pages/CartView').default;
+      const store = createStore(createRootReducer());
+
+      render(
+        React.createElement(Provider, { store },
+          React.createElement(PreferencesProvider, null,
+            React.createElement(MemoryRouter, null, React.createElement(CartView))
+          )
+        )
+      );
+
+      expect(screen.getByText('Shopping Cart')).toBeInTheDocument();
+
+      act(() => {
+        store.dispatch(updateUserPreferences({ language: 'es' }));
+      });
+
+      expect(await screen.findByText('Carrito de compras')).toBeInTheDocument();
+      expect(i18n.getLocale()).toBe('es');
+
+      await act(() => i18n.setLocale('en'));
+    });
+
+    test('Shell pages should follow the language preference', async () => {
+      const { createStore } = require('redux');
+      const { MemoryRouter } = require('react-router-dom');
+      const { createRootReducer, updateUserPreferences } = require('shared-store');
+      const { i18n } = require('host/utils');
+      const PreferencesProvider = require('../../preferences/PreferencesProvider').default;
+      const Login = require('../../pages/Login').default;
+      const store = createStore(createRootReducer());
+
+      render(
+        React.createElement(Provider, { store },
+          React.createElement(PreferencesProvider, null,
+            React.createElement(MemoryRouter, null, React.createElement(Login))
+          )
+        )
+      );
+
+      expect(screen.getByRole('heading', { name: 'Sign in' })).toBeInTheDocument();
+
+      act(() => {
+        store.dispatch(updateUserPreferences({ language: 'es' }));
+      });
+
+      expect(await screen.findByRole('heading', { name: 'Iniciar sesión' })).toBeInTheDocument();
+      expect(screen.getByText('Contraseña')).toBeInTheDocument();
+
+      await act(() => i18n.setLocale('en'));
+    });
+  });
+
+  describe('Inventory Limits Integration', () => {
+    const React = require('react');
+    const { render, screen, fireEvent, act, cleanup } = require('@testing-library/react');
+    const { Provider } = require('react-redux');
+    const { MemoryRouter, Routes, Route } = require('react-router-dom');
+
+    afterEach(cleanup);
+
+    test('Stock limits reached in one remote should show in the others', async () => {
+      const { createStore } = require('redux');
+      const { createRootReducer, addToCart } = require('shared-store');
+      const ProductDetail = require('../../../../product/src/pages/ProductDetail').default;
+      const CartView = require('../../../../cart/src/pages/CartView').default;
+      const alertSpy = jest.spyOn(window, 'alert').mockImplementation(() => {});
+      const store = createStore(createRootReducer());
+
+      render(
+        React.createElement(Provider, { store },
+          React.createElement(MemoryRouter, { initialEntries: ['/detail/3'] },
+            React.createElement(Routes, null,
+              React.createElement(Route, { path: '/detail/:id', element: React.createElement(ProductDetail) })
+            )
+          )
+        )
+      );
+
+      // The Tablet fixture has 3 left
+      fireEvent.click(await screen.findByText('Add to Cart'));
+      fireEvent.click(screen.getByText('Add to Cart'));
+      fireEvent.click(screen.getByText('Add to Cart'));
+      expect(store.getState().cart.itemCount).toBe(3);
+      expect(screen.getByText('Limit reached').closest('button')).toBeDisabled();
+      expect(screen.getByText('You have 3 in your cart, the most you can order')).toBeInTheDocument();
+      expect(alertSpy).toHaveBeenCalledTimes(3);
+
+      // Another remote trying to add one more is turned down by the cart
+      act(() => {
+        store.dispatch(addToCart(store.getState().cart.items[0]));
+      });
+      expect(store.getState().cart.itemCount).toBe(3);
+      cleanup();
+
+      render(
+        React.createElement(Provider, { store },
+          React.createElement(MemoryRouter, null, React.createElement(CartView))
+        )
+      );
+
+      expect(screen.getByRole('alert')).toHaveTextContent('Only 3 of Tablet can be ordered');
+      expect(screen.getByText('Maximum available: 3')).toBeInTheDocument();
+      expect(screen.getByText('+')).toBeDisabled();
+
+      alertSpy.mockRestore();
+    });
+  });
+
+  describe('Cart History Integration', () => {
+    const React = require('react');
+    const { render, screen, fireEvent, act, cleanup } = require('@testing-library/react');
+    const { Provider } = require('react-redux');
+    const { MemoryRouter } = require('react-router-dom');
+    const { createStore, applyMiddleware } = require('redux');
+    const { createRootReducer, createThunkMiddleware, addToCart } = require('shared-store');
+    const { configureCartSync, createLocalCartSync } = require('../../../../cart/src/store/cartSync');
+    const CartView = require('../../../../cart/src/pages/CartView').default;
+
+    const renderCart = () => {
+      const store = createStore(createRootReducer(), applyMiddleware(createThunkMiddleware()));
+      store.dispatch(addToCart({ id: 1, name: 'Laptop', price: 999 }));
+      store.dispatch(addToCart({ id: 2, name: 'Mouse', price: 25 }));
+      render(
+        React.createElement(Provider, { store },
+          React.createElement(MemoryRouter, null, React.createElement(CartView))
+        )
+      );
+      return store;
+    };
+
+    afterEach(() => {
+      cleanup();
+      configureCartSync(createLocalCartSync());
+    });
+
+    test('Cart changes should be undone and redone from the cart view', async () => {
+      const store = renderCart();
+      const undo = screen.getByText('Undo');
+      const redo = screen.getByText('Redo');
+
+      await act(async () => {
+        fireEvent.click(screen.getAllByText('+')[1]);
+      });
+      expect(store.getState().cart.items[1].quantity).toBe(2);
+      expect(redo).toBeDisabled();
+
+      fireEvent.click(undo);
+      expect(store.getState().cart.items[1].quantity).toBe(1);
+
+      fireEvent.click(redo);
+      expect(store.getState().cart.items[1].quantity).toBe(2);
+    });
+
+    test('Changes the cart sync rejects should be rolled back', async () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      configureCartSync({ save: () => Promise.resolve({ success: false, error: 'HTTP error! status: 503' }) });
+      const store = renderCart();
+
+      await act(async () => {
+        fireEvent.click(screen.getAllByText('Remove')[0]);
+      });
+
+      expect(store.getState().cart.items.map(item => item.id)).toEqual([1, 2]);
+      expect(screen.getByText("Your last change couldn't be saved, so it was undone.")).toBeInTheDocument();
+      errorSpy.mockRestore();
+    });
+  });
+
+  describe('Product Variants Integration', () => {
+    const React = require('react');
+    const { render, screen, fireEvent, cleanup } = require('@testing-library/react');
+    const { Provider } = require('react-redux');
+    const { MemoryRouter, Routes, Route } = require('react-router-dom');
+
+    afterEach(cleanup);
+
+    test('Variants picked in ProductDetail should show as separate lines in the cart and checkout', async () => {
+      const { createStore, applyMiddleware } = require('redux');
+      const { createRootReducer, createThunkMiddleware } = require('shared-store');
+      const ProductDetail = require('../../../../product/src/pages/ProductDetail').default;
+      const CartView = require('../../../../cart/src/pages/CartView').default;
+      const Checkout = require('../../../../cart/src/pages/Checkout').default;
+      const alertSpy = jest.spyOn(window, 'alert').mockImplementation(() => {});
+      const store = createStore(createRootReducer(), applyMiddleware(createThunkMiddleware()));
+
+      const renderPage = (Page, url = '/', path = '*') => render(
+        React.createElement(Provider, { store },
+          React.createElement(MemoryRouter, { initialEntries: [url] },
+            React.createElement(Routes, null, React.createElement(Route, { path, element: React.createElement(Page) }))
+          )
+        )
+      );
+
+      renderPage(ProductDetail, '/detail/2', '/detail/:id');
+
+      // The Phone opens on its first variant in stock
+      expect(await screen.findByText('$699.00')).toBeInTheDocument();
+      expect(screen.getByText('Black')).toHaveAttribute('aria-pressed', 'true');
+
+      fireEvent.click(screen.getByText('256GB'));
+      expect(screen.getByText('$799.00')).toBeInTheDocument();
+      fireEvent.click(screen.getByText('Add to Cart'));
+
+      // There's no blue 256GB, so picking blue switches to the blue 128GB
+      fireEvent.click(screen.getByText('Blue'));
+      expect(screen.getByText('128GB')).toHaveAttribute('aria-pressed', 'true');
+      fireEvent.click(screen.getByText('Add to Cart'));
+
+      expect(store.getState().cart.items.map(item => [item.variantId, item.price])).toEqual([
+        ['black-256gb', 799],
+        ['blue-128gb', 699],
+      ]);
+      cleanup();
+
+      renderPage(CartView);
+      expect(screen.getByText('Color: Black, Storage: 256GB')).toBeInTheDocument();
+      expect(screen.getByText('Color: Blue, Storage: 128GB')).toBeInTheDocument();
+
+      fireEvent.click(screen.getAllByText('Remove')[0]);
+      expect(store.getState().cart.items.map(item => item.variantId)).toEqual(['blue-128gb']);
+      cleanup();
+
+      renderPage(Checkout);
+      expect(screen.getByText('Color: Blue, Storage: 128GB')).toBeInTheDocument();
+
+      alertSpy.mockRestore();
+    });
+  });
 });
@@ -0,0 +1,163 @@
+/**
+ * Contract Testing for the Remote Manifest
+ *
+ * Tests that verify the manifest format the host uses to mount micro frontends.
+ * Ensures manifest entries produce routes, nav links and registry entries.
+ */
+
+describe('Remote Manifest Contract Tests', () => {
+  let manifest;
+  let remoteRegistry;
+
+  const manifestData = {
+    remotes: [
+      { name: 'cart', url: 'http://localhost:3002/remoteEntry.js', module: './CartApp', path: '/cart', label: 'Cart', order: 2 },
+      { name: 'product', url: 'http://localhost:3001/remoteEntry.js', module: 'ProductApp', path: 'products/', label: 'Products', order: 1 },
+    ],
+  };
+
+  beforeAll(() => {
+    manifest = require('../../remotes/manifest');
+    remoteRegistry = require('host/utils').remoteRegistry;
+  });
+
+  describe('Manifest Format Contract', () => {
+    test('Entries should be normalised and sorted by order', () => {
+      const entries = manifest.normalizeManifest(manifestData);
+
+      expect(entries.map(entry => entry.name)).toEqual(['product', 'cart']);
+      expect(entries[0].path).toBe('/products');
+      expect(entries[0].module).toBe('./ProductApp');
+      expect(manifest.getModulePath(entries[0])).toBe('product/ProductApp');
+    });
+
+    test('Protected paths should be normalised relative to the remote', () => {
+      const [entry] = manifest.normalizeManifest({
+        remotes: [{ ...manifestData.remotes[0], protectedPaths: ['checkout/'] }],
+      });
+      expect(entry.protectedPaths).toEqual(['/checkout']);
+      expect(manifest.normalizeManifest(manifestData)[0].protectedPaths).toEqual([]);
+    });
+
+    test('Entries missing required fields should be skipped', () => {
+      const entries = manifest.normalizeManifest({
+        remotes: [{ name: 'broken', url: 'http://localhost:3005/remoteEntry.js' }],
+      });
+      expect(entries).toHaveLength(0);
+    });
+
+    test('Manifest without a remotes array should be rejected', () => {
+      expect(() => manifest.normalizeManifest({})).toThrow('"remotes" array');
+    });
+  });
+
+  describe('Manifest Loading Contract', () => {
+    test('Loaded remotes should be registered with the remote registry', async () => {
+      global.fetch.mockImplementationOnce(() =>
+        Promise.resolve({ ok: true, json: () => Promise.resolve(manifestData) })
+      );
+
+      const entries = await manifest.loadRemoteManifest('/remotes.json');
+
+      expect(entries).toHaveLength(2);
+      expect(remoteRegistry.isRegistered('product/ProductApp')).toBe(true);
+      expect(remoteRegistry.isRegistered('cart/CartApp')).toBe(true);
+      expect(remoteRegistry.getRemote('cart').url).toBe('http://localhost:3002/remoteEntry.js');
+    });
+
+    test('Failed manifest requests should throw', async () => {
+      global.fetch.mockImplementationOnce(() => Promise.resolve({ ok: false, status: 404 }));
+
+      await expect(manifest.loadRemoteManifest('/missing.json')).rejects.toThrow('Failed to load remote manifest');
+    });
+  });
+
+  describe('Remote Error Boundary Contract', () => {
+    const React = require('react');
+    const { render, screen, fireEvent } = require('@testing-library/react');
+
+    afterEach(() => {
+      delete window.broken;
+      remoteRegistry.unregisterRemote('broken');
+    });
+
+    test('A failing remote should render a fallback with retry', async () => {
+      const RemoteRoute = require('../../remotes/RemoteRoute').default;
+      const { logger } = require('host/utils');
+      const errorSpy = jest.spyOn(logger, 'error').mockImplementation(() => {});
+      const reloadSpy = jest.spyOn(remoteRegistry, 'reloadRemote');
+
+      window.broken = {
+        init: jest.fn(),
+        get: jest.fn(() => Promise.reject(new Error('remote is down'))),
+      };
+      const remote = { name: 'broken', url: 'http://localhost:3009/remoteEntry.js', module: './BrokenApp', path: '/broken', label: 'Broken' };
+      manifest.registerManifest([remote]);
+
+      render(
+        React.createElement('div', null,
+          React.createElement('header', null, 'Shell header'),
+          React.createElement(RemoteRoute, { remote })
+        )
+      );
+
+      expect(await screen.findByText('Broken is unavailable right now')).toBeInTheDocument();
+      expect(screen.getByText('Shell header')).toBeInTheDocument();
+      expect(errorSpy).toHaveBeenCalled();
+
+      fireEvent.click(screen.getByText('Retry loading'));
+      expect(reloadSpy).toHaveBeenCalledWith('broken');
+
+      errorSpy.mockRestore();
+      reloadSpy.mockRestore();
+    });
+  });
+
+  describe('Protected Route Contract', () => {
+    const React = require('react');
+    const { render, screen, cleanup } = require('@testing-library/react');
+    const { Provider } = require('react-redux');
+    const { MemoryRouter, Routes, Route } = require('react-router-dom');
+
+    afterEach(cleanup);
+
+    const renderAt = (pathname, store) => {
+      const RequireAuth = require('../../auth/RequireAuth').default;
+      return render(
+        React.createElement(Provider, { store },
+          React.createElement(MemoryRouter, { initialEntries: [pathname] },
+            React.createElement(Routes, null,
+              React.createElement(Route, {
+                path: '/cart/*',
+                element: React.createElement(RequireAuth, { paths: ['/cart/checkout'] }, 'Cart remote'),
+              }),
+              React.createElement(Route, { path: '/login', element: 'Sign in page' })
+            )
+          )
+        )
+      );
+    };
+
+    test('Protected remote paths should redirect signed-out users to /login', () => {
+      const store = require('host/store').default;
+      renderAt('/cart/checkout', store);
+      expect(screen.getByText('Sign in page')).toBeInTheDocument();
+    });
+
+    test('Unprotected remote paths should render without a session', () => {
+      const store = require('host/store').default;
+      renderAt('/cart', store);
+      expect(screen.getByText('Cart remote')).toBeInTheDocument();
+    });
+
+    test('Signed-in users should reach protected paths', () => {
+      const { createStore } = require('redux');
+      const { createRootReducer, loginSuccess } = require('shared-store');
+      const store = createStore(createRootReducer());
+      store.dispatch(loginSuccess({ token: 'token', expiresAt: Date.now() + 60000, user: { name: 'Test User' } }));
+
+      renderAt('/cart/checkout', store);
+      expect(screen.getByText('Cart remote')).toBeInTheDocument();
+    });
+  });
+});
@@ -109,6 +109,344 @@ describe('Product Micro Frontend Contract Tests', () => {
     });
   });
 
+  describe('Catalog Contract', () => {
+    const catalogModule = () => require('../../../../product/src/catalog');
+
+    test('Catalog should serve every product with detail fields', async () => {
+      const products = await catalogModule().getProducts();
+
+      expect(products.length).toBeGreaterThan(0);
+      products.forEach((product) => {
+        expect(product).toEqual(expect.objectContaining({
+          id: expect.any(Number),
+          name: expect.any(String),
+          price: expect.any(Number),
+          category: expect.any(String),
+          specs: expect.any(String),
+          inStock: expect.any(Boolean),
+        }));
+      });
+      expect(await catalogModule().getProductById('2')).toEqual(products[1]);
+      expect(await catalogModule().getProductById(404)).toBeNull();
+    });
+
+    test('Repository should cache results and share in-flight requests', async () => {
+      const { createCatalogRepository } = catalogModule();
+      let time = 0;
+      const adapter = {
+        listProducts: jest.fn(() => Promise.resolve([{ id: 1, name: 'Laptop', price: 999 }])),
+        getProduct: jest.fn(() => Promise.resolve(null)),
+      };
+      const repository = createCatalogRepository({ adapter, ttl: 1000, now: () => time });
+
+      await Promise.all([repository.getProducts(), repository.getProducts()]);
+      expect(adapter.listProducts).toHaveBeenCalledTimes(1);
+
+      // Products from the list are cached by id too
+      expect((await repository.getProduct(1)).name).toBe('Laptop');
+      expect(adapter.getProduct).not.toHaveBeenCalled();
+
+      time = 1001;
+      await repository.getProducts();
+      expect(adapter.listProducts).toHaveBeenCalledTimes(2);
+      expect(repository.peekProduct(1).name).toBe('Laptop');
+    });
+
+    test('HTTP adapter should read from apiCall results', async () => {
+      const { createHttpCatalogAdapter } = catalogModule();
+      const request = jest.fn((url) => Promise.resolve(url.endsWith('/7')
+        ? { success: false, error: 'HTTP error! status: 404' }
+        : { success: true, data: [{ id: 1, name: 'Laptop', price: 999 }] }));
+      const adapter = createHttpCatalogAdapter({ baseUrl: '/api/products', request });
+
+      expect(await adapter.listProducts()).toHaveLength(1);
+      expect(request).toHaveBeenCalledWith('/api/products');
+      expect(await adapter.getProduct(7)).toBeNull();
+
+      request.mockImplementationOnce(() => Promise.resolve({ success: false, error: 'HTTP error! status: 500' }));
+      await expect(adapter.getProduct(1)).rejects.toThrow('status: 500');
+    });
+
+    test('ProductDetail should show a retry when the catalog fails to load', async () => {
+      const React = require('react');
+      const { render, screen, fireEvent, cleanup } = require('@testing-library/react');
+      const { Provider } = require('react-redux');
+      const { MemoryRouter, Routes, Route } = require('react-router-dom');
+      const { configureCatalog, createLocalCatalogAdapter } = catalogModule();
+      const ProductDetail = require('../../../../product/src/pages/ProductDetail').default;
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const local = createLocalCatalogAdapter();
+      const getProduct = jest.fn()
+        .mockImplementationOnce(() => Promise.reject(new Error('offline')))
+        .mockImplementation(local.getProduct);
+      configureCatalog({ adapter: { ...local, getProduct } });
+
+      render(
+        React.createElement(Provider, { store: require('host/store').default },
+          React.createElement(MemoryRouter, { initialEntries: ['/detail/3'] },
+            React.createElement(Routes, null,
+              React.createElement(Route, { path: '/detail/:id', element: React.createElement(ProductDetail) })
+            )
+          )
+        )
+      );
+
+      expect(screen.getByText('Loading product...')).toBeInTheDocument();
+      fireEvent.click(await screen.findByText('Retry'));
+      expect(await screen.findByText('Tablet')).toBeInTheDocument();
+
+      configureCatalog({ adapter: local });
+      errorSpy.mockRestore();
+      cleanup();
+    });
+
+    test('ProductDetail should not offer out of stock products', async () => {
+      const React = require('react');
+      const { render, screen, cleanup } = require('@testing-library/react');
+      const { Provider } = require('react-redux');
+      const { MemoryRouter, Routes, Route } = require('react-router-dom');
+      const { createStore } = require('redux');
+      const { createRootReducer } = require('shared-store');
+      const ProductDetail = require('../../../../product/src/pages/ProductDetail').default;
+
+      render(
+        React.createElement(Provider, { store: createStore(createRootReducer()) },
+          React.createElement(MemoryRouter, { initialEntries: ['/detail/4'] },
+            React.createElement(Routes, null,
+              React.createElement(Route, { path: '/detail/:id', element: React.createElement(ProductDetail) })
+            )
+          )
+        )
+      );
+
+      expect(await screen.findByText('✗ Out of Stock')).toBeInTheDocument();
+      expect(screen.getByText('Out of Stock').closest('button')).toBeDisabled();
+      expect(screen.getByText('Buy Now').closest('button')).toBeDisabled();
+      cleanup();
+    });
+
+    test('Catalog should be loadable by other remotes through the manifest', () => {
+      const manifest = require('../../remotes/manifest');
+      const { remoteRegistry } = require('host/utils');
+      const entries = manifest.registerManifest(manifest.normalizeManifest({
+        remotes: [{
+          name: 'product',
+          url: 'http://localhost:3001/remoteEntry.js',
+          module: './ProductApp',
+          path: '/products',
+          label: 'Products',
+          exposes: ['catalog'],
+        }],
+      }));
+
+      expect(entries[0].exposes).toEqual(['./catalog']);
+      expect(remoteRegistry.isRegistered('product/catalog')).toBe(true);
+    });
+  });
+
+  describe('Catalog Search Contract', () => {
+    const query = () => require('../../../../product/src/catalog/query');
+    const products = [
+      { id: 1, name: 'Laptop', price: 999, category: 'Electronics', description: 'Fast laptop', rating: 4.5, inStock: true },
+      { id: 2, name: 'Phone', price: 699, category: 'Electronics', description: 'Smartphone', rating: 4.8, inStock: true },
+      { id: 3, name: 'Headphones', price: 199, category: 'Audio', description: 'Wireless headphones', rating: 4.6, inStock: false },
+    ];
+
+    test('Filters should round-trip through the query string', () => {
+      const { parseFilters, serializeFilters, DEFAULT_FILTERS } = query();
+      const filters = { q: 'lap', category: 'Audio', minPrice: 100, maxPrice: 500, inStock: true, sort: 'price-asc' };
+
+      const params = new URLSearchParams(serializeFilters(filters));
+      expect(params.toString()).toBe('q=lap&category=Audio&minPrice=100&maxPrice=500&inStock=1&sort=price-asc');
+      expect(parseFilters(params)).toEqual(filters);
+      expect(serializeFilters(DEFAULT_FILTERS)).toEqual({});
+      expect(parseFilters(new URLSearchParams('sort=bogus&minPrice=-5'))).toEqual(DEFAULT_FILTERS);
+    });
+
+    test('Products should be searched, filtered and sorted', () => {
+      const { applyFilters, DEFAULT_FILTERS } = query();
+      const names = filters => applyFilters(products, { ...DEFAULT_FILTERS, ...filters }).map(product => product.name);
+
+      expect(names({ q: 'WIRELESS audio' })).toEqual(['Headphones']);
+      expect(names({ category: 'Electronics', maxPrice: 800 })).toEqual(['Phone']);
+      expect(names({ inStock: true, sort: 'price-asc' })).toEqual(['Phone', 'Laptop']);
+      expect(names({ sort: 'rating' })).toEqual(['Phone', 'Headphones', 'Laptop']);
+      expect(names({ sort: 'name' })).toEqual(['Headphones', 'Laptop', 'Phone']);
+      expect(names({})).toEqual(['Laptop', 'Phone', 'Headphones']);
+    });
+
+    test('Facets should count categories and find the price range', () => {
+      expect(query().getFacets(products)).toEqual({
+        categories: [{ name: 'Electronics', count: 2 }, { name: 'Audio', count: 1 }],
+        price: { min: 199, max: 999 },
+        inStock: 2,
+      });
+    });
+
+    test('ProductList should restore filters from the URL and write searches back to it', async () => {
+      const React = require('react');
+      const { render, screen, fireEvent, waitFor, cleanup } = require('@testing-library/react');
+      const { Provider } = require('react-redux');
+      const { MemoryRouter, useLocation } = require('react-router-dom');
+      const ProductList = require('../../../../product/src/pages/ProductList').default;
+      let location;
+      const LocationProbe = () => {
+        location = useLocation();
+        return null;
+      };
+
+      render(
+        React.createElement(Provider, { store: require('host/store').default },
+          React.createElement(MemoryRouter, { initialEntries: ['/?category=Electronics&sort=price-asc'] },
+            React.createElement(ProductList),
+            React.createElement(LocationProbe)
+          )
+        )
+      );
+
+      expect(await screen.findByText('3 products')).toBeInTheDocument();
+      expect(screen.getAllByRole('heading', { level: 3 }).map(heading => heading.textContent))
+        .toEqual(['Tablet', 'Phone', 'Laptop']);
+
+      fireEvent.change(screen.getByLabelText('Search products'), { target: { value: 'phone' } });
+      expect(location.search).toBe('?category=Electronics&sort=price-asc');
+
+      await waitFor(() => expect(location.search).toBe('?q=phone&category=Electronics&sort=price-asc'));
+      expect(await screen.findByText('1 product')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByText('Clear filters'));
+      expect(location.search).toBe('');
+      expect(screen.getByLabelText('Search products').value).toBe('');
+      cleanup();
+    });
+  });
+
+  describe('Catalog Paging Contract', () => {
+    const React = require('react');
+    const { render, screen, fireEvent, act, cleanup } = require('@testing-library/react');
+    const { Provider } = require('react-redux');
+    const { MemoryRouter, Routes, Route } = require('react-router-dom');
+    const catalogModule = () => require('../../../../product/src/catalog');
+    const { DEFAULT_FILTERS } = require('../../../../product/src/catalog/query');
+    const manyProducts = Array.from({ length: 10000 }, (_, index) => ({
+      id: index + 1,
+      name: `Product ${index + 1}`,
+      price: 10 + (index % 500),
+      description: 'Generated product',
+      category: index % 2 ? 'Audio' : 'Electronics',
+      specs: '',
+      inStock: index % 3 !== 0,
+      rating: 4,
+    }));
+
+    afterEach(() => {
+      cleanup();
+      const { configureCatalog, createLocalCatalogAdapter } = catalogModule();
+      configureCatalog({ adapter: createLocalCatalogAdapter() });
+    });
+
+    test('Pages should follow cursors and be cached per query', async () => {
+      const { createCatalogRepository, createLocalCatalogAdapter } = catalogModule();
+      const adapter = createLocalCatalogAdapter({ products: manyProducts });
+      const listPage = jest.spyOn(adapter, 'listPage');
+      const repository = createCatalogRepository({ adapter });
+      const filters = { ...DEFAULT_FILTERS, category: 'Audio' };
+
+      const first = await repository.getPage({ filters, limit: 100 });
+      expect(first.items).toHaveLength(100);
+      expect(first.total).toBe(5000);
+      expect(first.facets.categories).toHaveLength(2);
+
+      const second = await repository.getPage({ filters, cursor: first.nextCursor, limit: 100 });
+      expect(second.items[0].id).toBe(202);
+      expect(second.facets).toBeNull();
+
+      await repository.getPage({ filters, limit: 100 });
+      expect(listPage).toHaveBeenCalledTimes(2);
+      expect(repository.peekPages({ filters, limit: 100 })).toEqual([first, second]);
+      expect(repository.peekPages({ filters: DEFAULT_FILTERS, limit: 100 })).toEqual([]);
+    });
+
+    test('Large catalogs should only render the rows near the viewport', async () => {
+      const { configureCatalog, createLocalCatalogAdapter } = catalogModule();
+      configureCatalog({ adapter: createLocalCatalogAdapter({ products: manyProducts }) });
+      const ProductList = require('../../../../product/src/pages/ProductList').default;
+
+      render(
+        React.createElement(Provider, { store: require('host/store').default },
+          React.createElement(MemoryRouter, null, React.createElement(ProductList))
+        )
+      );
+
+      expect(await screen.findByText('10000 products')).toBeInTheDocument();
+      const cards = document.querySelectorAll('.product-card');
+      expect(cards.length).toBeGreaterThan(0);
+      expect(cards.length).toBeLessThan(24);
+    });
+
+    test('VirtualGrid should move its window on scroll and ask for more near the end', async () => {
+      const VirtualGrid = require('../../../../product/src/components/VirtualGrid').default;
+      const onEndReached = jest.fn();
+      const items = manyProducts.slice(0, 200);
+      const renderGrid = () => React.createElement(VirtualGrid, {
+        items,
+        rowHeight: 100,
+        gap: 0,
+        overscan: 0,
+        onEndReached,
+        renderItem: item => React.createElement('div', { className: 'cell' }, item.name),
+      });
+
+      render(renderGrid());
+      expect(screen.getByText('Product 1')).toBeInTheDocument();
+      expect(screen.queryByText('Product 150')).toBeNull();
+      expect(onEndReached).not.toHaveBeenCalled();
+
+      // Scrolled so that rows 190-197 are in view
+      const rectSpy = jest.spyOn(Element.prototype, 'getBoundingClientRect')
+        .mockReturnValue({ top: -19000, width: 0 });
+      await act(async () => {
+        window.dispatchEvent(new Event('scroll'));
+        await new Promise(resolve => window.requestAnimationFrame(resolve));
+      });
+      rectSpy.mockRestore();
+
+      expect(screen.queryByText('Product 1')).toBeNull();
+      expect(screen.getByText('Product 195')).toBeInTheDocument();
+      expect(onEndReached).toHaveBeenCalled();
+    });
+
+    test('The list should restore its scroll position when coming back from a product', async () => {
+      const ProductList = require('../../../../product/src/pages/ProductList').default;
+      const ProductDetail = require('../../../../product/src/pages/ProductDetail').default;
+      const scrollTo = jest.spyOn(window, 'scrollTo').mockImplementation(() => {});
+
+      render(
+        React.createElement(Provider, { store: require('host/store').default },
+          React.createElement(MemoryRouter, null,
+            React.createElement(Routes, null,
+              React.createElement(Route, { path: '/', element: React.createElement(ProductList) }),
+              React.createElement(Route, { path: '/detail/:id', element: React.createElement(ProductDetail) })
+            )
+          )
+        )
+      );
+
+      await screen.findByText('Laptop');
+      window.scrollY = 640;
+      fireEvent.click(screen.getAllByText('View Details')[0]);
+      expect(await screen.findByText('Specifications')).toBeInTheDocument();
+      expect(scrollTo).toHaveBeenLastCalledWith(0, 0);
+
+      fireEvent.click(screen.getByText('← Back'));
+      expect(await screen.findByText('Laptop')).toBeInTheDocument();
+      expect(scrollTo).toHaveBeenLastCalledWith(0, 640);
+
+      window.scrollY = 0;
+      scrollTo.mockRestore();
+    });
+  });
+
   describe('API Contract - Exposed Modules', () => {
     test('ProductApp module should have correct structure', () => {
       expect(ProductApp).toHaveProperty('default');
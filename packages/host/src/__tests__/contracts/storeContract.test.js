@@ -5,6 +5,40 @@
  * Ensures that store structure and actions remain compatible.
  */
 
+/**
+ * jsdom doesn't fetch scripts: answer the host's remoteEntry requests here,
+ * failing them until serve(store) is called
+ */
+const mockHostRemoteEntry = () => {
+  let servedStore = null;
+  const scripts = [];
+  const append = document.head.appendChild.bind(document.head);
+  const spy = jest.spyOn(document.head, 'appendChild').mockImplementation((node) => {
+    if (node.dataset && node.dataset.remote === 'host') {
+      scripts.push(node);
+      setTimeout(() => {
+        if (!servedStore) return node.onerror();
+        const store = servedStore;
+        window.host = { init: jest.fn(), get: jest.fn(() => Promise.resolve(() => ({ default: store }))) };
+        node.onload();
+      });
+    }
+    return append(node);
+  });
+
+  return {
+    scripts,
+    serve: (store) => { servedStore = store; },
+    restore: () => {
+      const { remoteRegistry } = require('host/utils');
+      spy.mockRestore();
+      remoteRegistry.unregisterRemote('host');
+      remoteRegistry.registerModule('host/store', () => import('host/store'));
+      window.host = undefined;
+    },
+  };
+};
+
 describe('Redux Store Contract Tests', () => {
   let store;
   let actions;
@@ -152,6 +186,887 @@ describe('Redux Store Contract Tests', () => {
     });
   });
 
+  describe('Selector Contract', () => {
+    const { createStore } = require('redux');
+    const { createRootReducer } = require('shared-store');
+
+    const createCartState = () => {
+      const cartStore = createStore(createRootReducer());
+      cartStore.dispatch(actions.setCartItems([
+        { id: 1, name: 'Item 1', price: 19.99, quantity: 3 },
+        { id: 2, name: 'Item 2', price: 5, quantity: 1 },
+      ]));
+      return cartStore;
+    };
+
+    test('Selectors should be exportable from host/store', () => {
+      expect(typeof actions.selectCartItems).toBe('function');
+      expect(typeof actions.selectCartSummary).toBe('function');
+      expect(typeof actions.selectCartLineItems).toBe('function');
+      expect(typeof actions.selectUser).toBe('function');
+      expect(actions.TAX_RATE).toBe(0.1);
+    });
+
+    test('Cart summary should derive subtotal, tax and grand total', () => {
+      const state = createCartState().getState();
+
+      expect(actions.selectCartSummary(state)).toEqual({
+        itemCount: 4,
+        subtotal: 64.97,
+        tax: 6.5,
+        total: 71.47,
+      });
+      expect(actions.selectCartLineItems(state).map(item => item.subtotal)).toEqual([59.97, 5]);
+    });
+
+    test('Selectors should be memoized on their inputs', () => {
+      const cartStore = createCartState();
+      const first = actions.selectCartSummary(cartStore.getState());
+      const firstLines = actions.selectCartLineItems(cartStore.getState());
+
+      cartStore.dispatch(actions.setUser({ name: 'Test User' }));
+      expect(actions.selectCartSummary(cartStore.getState())).toBe(first);
+      expect(actions.selectCartLineItems(cartStore.getState())).toBe(firstLines);
+
+      cartStore.dispatch(actions.updateQuantity(2, 2));
+      expect(actions.selectCartSummary(cartStore.getState())).not.toBe(first);
+      expect(actions.selectCartSummary(cartStore.getState()).itemCount).toBe(5);
+    });
+  });
+
+  describe('Cart History Contract', () => {
+    const { createStore, applyMiddleware } = require('redux');
+    const { createRootReducer, createThunkMiddleware } = require('shared-store');
+
+    const createCartStore = () => createStore(createRootReducer(), applyMiddleware(createThunkMiddleware()));
+
+    test('Removed items should come back with undo and go again with redo', () => {
+      const cartStore = createCartStore();
+      cartStore.dispatch(actions.addToCart({ id: 1, name: 'Item 1', price: 10 }));
+      cartStore.dispatch(actions.updateQuantity(1, 0));
+      expect(cartStore.getState().cart.items).toHaveLength(0);
+      expect(actions.selectCanUndoCart(cartStore.getState())).toBe(true);
+
+      cartStore.dispatch(actions.undoCart());
+      expect(cartStore.getState().cart.items[0]).toMatchObject({ id: 1, quantity: 1 });
+      expect(cartStore.getState().cart.total).toBe(10);
+
+      cartStore.dispatch(actions.redoCart());
+      expect(cartStore.getState().cart.items).toHaveLength(0);
+      expect(actions.selectCanRedoCart(cartStore.getState())).toBe(false);
+    });
+
+    test('Restoring a removed line should put it back where it was', () => {
+      const cartStore = createCartStore();
+      cartStore.dispatch(actions.addToCart({ id: 1, name: 'Item 1', price: 10 }));
+      cartStore.dispatch(actions.addToCart({ id: 2, name: 'Item 2', price: 20 }));
+      const [removed] = cartStore.getState().cart.items;
+      cartStore.dispatch(actions.removeFromCart(1));
+      cartStore.dispatch(actions.addToCart({ id: 3, name: 'Item 3', price: 30 }));
+
+      cartStore.dispatch(actions.restoreCartLine(removed, 0));
+      expect(cartStore.getState().cart.items.map(item => item.id)).toEqual([1, 2, 3]);
+      expect(cartStore.getState().cart.total).toBe(60);
+
+      // Already back in the cart
+      cartStore.dispatch(actions.restoreCartLine(removed, 0));
+      expect(cartStore.getState().cart.itemCount).toBe(3);
+    });
+
+    test('Undo history should be bounded', () => {
+      const cartStore = createCartStore();
+      for (let id = 1; id <= 25; id++) {
+        cartStore.dispatch(actions.addToCart({ id, name: `Item ${id}`, price: 1 }));
+      }
+      expect(cartStore.getState().cart.history.past).toHaveLength(20);
+
+      for (let i = 0; i < 25; i++) {
+        cartStore.dispatch(actions.undoCart());
+      }
+      expect(cartStore.getState().cart.itemCount).toBe(5);
+    });
+
+    test('Failed optimistic updates should roll back and keep later changes', async () => {
+      const cartStore = createCartStore();
+      let failSync;
+      const pending = cartStore.dispatch(actions.optimisticCartUpdate(
+        actions.addToCart({ id: 1, name: 'Item 1', price: 10 }),
+        () => new Promise((resolve, reject) => { failSync = reject; })
+      ));
+
+      expect(cartStore.getState().cart.itemCount).toBe(1);
+      cartStore.dispatch(actions.addToCart({ id: 2, name: 'Item 2', price: 20 }));
+
+      failSync(new Error('server rejected the update'));
+      await expect(pending).rejects.toThrow('server rejected the update');
+
+      const { cart } = cartStore.getState();
+      expect(cart.items.map(item => item.id)).toEqual([2]);
+      expect(cart.total).toBe(20);
+      expect(cart.history.optimistic).toBeNull();
+    });
+
+    test('Confirmed optimistic updates should be kept', async () => {
+      const cartStore = createCartStore();
+      await cartStore.dispatch(actions.optimisticCartUpdate(
+        actions.addToCart({ id: 1, name: 'Item 1', price: 10 }),
+        () => Promise.resolve({ success: true })
+      ));
+
+      expect(cartStore.getState().cart.itemCount).toBe(1);
+      expect(cartStore.getState().cart.history.optimistic).toBeNull();
+    });
+  });
+
+  describe('Inventory Limits Contract', () => {
+    const { createStore, applyMiddleware } = require('redux');
+    const { createRootReducer, createValidationMiddleware } = require('shared-store');
+    const { validateSchema } = require('host/utils');
+
+    const createCartStore = () => createStore(createRootReducer());
+    const tablet = { id: 3, name: 'Tablet', price: 499, stock: 2 };
+
+    test('Adding past the stock should be rejected with a reason', () => {
+      const cartStore = createCartStore();
+      cartStore.dispatch(actions.addToCart(tablet));
+      cartStore.dispatch(actions.addToCart(tablet));
+      const before = cartStore.getState().cart;
+
+      cartStore.dispatch(actions.addToCart(tablet));
+      const { cart } = cartStore.getState();
+      expect(cart.items).toBe(before.items);
+      expect(cart.itemCount).toBe(2);
+      expect(actions.selectCartStockLimit(cartStore.getState())).toEqual({
+        productId: 3, lineId: 3, name: 'Tablet', reason: actions.MAX_QUANTITY, requested: 3, allowed: 2,
+      });
+      // The rejection alone isn't an undo step
+      expect(cart.history.past).toHaveLength(before.history.past.length);
+    });
+
+    test('Out of stock products should not be added', () => {
+      const cartStore = createCartStore();
+      cartStore.dispatch(actions.addToCart({ id: 4, name: 'Headphones', price: 199, inStock: false }));
+
+      expect(cartStore.getState().cart.items).toHaveLength(0);
+      expect(actions.selectCartStockLimit(cartStore.getState())).toMatchObject({
+        reason: actions.OUT_OF_STOCK, allowed: 0,
+      });
+    });
+
+    test('Quantities should be clamped to the stock and the order limit', () => {
+      const cartStore = createCartStore();
+      cartStore.dispatch(actions.addToCart({ id: 2, name: 'Phone', price: 699, stock: 12, maxPerOrder: 2 }));
+      cartStore.dispatch(actions.updateQuantity(2, 5));
+
+      expect(cartStore.getState().cart.items[0].quantity).toBe(2);
+      expect(cartStore.getState().cart.total).toBe(1398);
+      expect(actions.selectCartStockLimit(cartStore.getState())).toMatchObject({ requested: 5, allowed: 2 });
+
+      cartStore.dispatch(actions.updateQuantity(2, 1));
+      expect(actions.selectCartStockLimit(cartStore.getState())).toBeNull();
+    });
+
+    test('Undo should not bring back an old stock notice', () => {
+      const cartStore = createCartStore();
+      cartStore.dispatch(actions.addToCart(tablet));
+      cartStore.dispatch(actions.updateQuantity(3, 9));
+      cartStore.dispatch(actions.updateQuantity(3, 1));
+      cartStore.dispatch(actions.undoCart());
+
+      expect(cartStore.getState().cart.items[0].quantity).toBe(2);
+      expect(actions.selectCartStockLimit(cartStore.getState())).toBeNull();
+    });
+
+    test('Remaining quantity should account for what is in the cart', () => {
+      expect(actions.getMaxQuantity({ id: 1 })).toBe(Infinity);
+      expect(actions.getMaxQuantity({ id: 1, stock: 12, maxPerOrder: 2 })).toBe(2);
+      expect(actions.getMaxQuantity({ id: 1, stock: 5, inStock: false })).toBe(0);
+      expect(actions.getRemainingQuantity(tablet, 1)).toBe(1);
+      expect(actions.getRemainingQuantity(tablet, 5)).toBe(0);
+    });
+
+    test('The order limit should count the product across lines', () => {
+      const phone = { id: 2, name: 'Phone', price: 699, stock: 5, maxPerOrder: 2 };
+      expect(actions.getStockLimit(phone)).toBe(5);
+      expect(actions.getOrderLimit(phone)).toBe(2);
+      expect(actions.getMaxQuantity(phone, 1)).toBe(1);
+      expect(actions.getMaxQuantity({ ...phone, stock: 0 }, 0)).toBe(0);
+      expect(actions.getRemainingQuantity(phone, 1, 1)).toBe(0);
+      expect(actions.getRemainingQuantity(phone, 0, 3)).toBe(0);
+      expect(actions.getLimitReason(phone)).toBe(actions.MAX_QUANTITY);
+    });
+
+    test('Items over their limit should break the state invariants', () => {
+      const onViolation = jest.fn();
+      const validatedStore = createStore(createRootReducer(), applyMiddleware(createValidationMiddleware({
+        validate: validateSchema,
+        getSource: () => 'cart',
+        onViolation,
+      })));
+      validatedStore.dispatch(actions.setCartItems([{ ...tablet, quantity: 3 }]));
+
+      expect(onViolation).toHaveBeenCalledWith(
+        expect.stringContaining('State invariant broken'),
+        expect.objectContaining({ errors: ['cart.items exceed their stock or order limit: 3 (3/2)'] })
+      );
+    });
+  });
+
+  describe('Cart Lines Contract', () => {
+    const { createStore, applyMiddleware } = require('redux');
+    const { createRootReducer, createValidationMiddleware } = require('shared-store');
+    const { validateSchema } = require('host/utils');
+
+    const phone = { id: 2, name: 'Phone', price: 699 };
+    const black = { ...phone, variantId: 'black-128gb', options: { Color: 'Black', Storage: '128GB' } };
+    const blue = { ...phone, variantId: 'blue-128gb', options: { Color: 'Blue', Storage: '128GB' } };
+
+    test('Each variant of a product should get its own line', () => {
+      const cartStore = createStore(createRootReducer());
+      cartStore.dispatch(actions.addToCart(black));
+      cartStore.dispatch(actions.addToCart(blue));
+      cartStore.dispatch(actions.addToCart(black));
+      cartStore.dispatch(actions.addToCart(phone));
+
+      expect(actions.selectCartLineItems(cartStore.getState()).map(item => [item.lineId, item.quantity])).toEqual([
+        ['2:black-128gb', 2],
+        ['2:blue-128gb', 1],
+        [2, 1],
+      ]);
+      expect(actions.formatCartLineOptions(black)).toBe('Color: Black, Storage: 128GB');
+    });
+
+    test('Lines should be updated and removed by their line id', () => {
+      const cartStore = createStore(createRootReducer());
+      cartStore.dispatch(actions.addToCart(black));
+      cartStore.dispatch(actions.addToCart(blue));
+
+      cartStore.dispatch(actions.updateQuantity(actions.getCartLineId(blue), 3));
+      cartStore.dispatch(actions.removeFromCart(actions.getCartLineId(black)));
+
+      const { cart } = cartStore.getState();
+      expect(cart.items).toHaveLength(1);
+      expect(cart.items[0]).toMatchObject({ variantId: 'blue-128gb', quantity: 3 });
+      expect(actions.selectCartQuantities(cartStore.getState())).toEqual({ '2:blue-128gb': 3 });
+    });
+
+    test('The per-order limit should count every variant of a product', () => {
+      const cartStore = createStore(createRootReducer());
+      cartStore.dispatch(actions.addToCart({ ...black, stock: 5, maxPerOrder: 2 }));
+      cartStore.dispatch(actions.addToCart({ ...black, stock: 5, maxPerOrder: 2 }));
+      cartStore.dispatch(actions.addToCart({ ...blue, stock: 4, maxPerOrder: 2 }));
+
+      expect(actions.selectCartQuantities(cartStore.getState())).toEqual({ '2:black-128gb': 2 });
+      expect(actions.selectCartStockLimit(cartStore.getState())).toEqual({
+        productId: 2, lineId: '2:blue-128gb', name: 'Phone', reason: actions.MAX_QUANTITY, requested: 3, allowed: 2,
+      });
+
+      cartStore.dispatch(actions.updateQuantity('2:black-128gb', 1));
+      cartStore.dispatch(actions.addToCart({ ...blue, stock: 4, maxPerOrder: 2 }));
+      cartStore.dispatch(actions.updateQuantity('2:blue-128gb', 3));
+      expect(actions.selectCartQuantities(cartStore.getState())).toEqual({ '2:black-128gb': 1, '2:blue-128gb': 1 });
+      expect(cartStore.getState().cart.itemCount).toBe(2);
+    });
+
+    test('Duplicate lines, not duplicate product ids, should break the state invariants', () => {
+      const onViolation = jest.fn();
+      const validatedStore = createStore(createRootReducer(), applyMiddleware(createValidationMiddleware({
+        validate: validateSchema,
+        getSource: () => 'cart',
+        onViolation,
+      })));
+
+      validatedStore.dispatch(actions.setCartItems([{ ...black, quantity: 1 }, { ...blue, quantity: 1 }]));
+      expect(onViolation).not.toHaveBeenCalled();
+
+      validatedStore.dispatch(actions.setCartItems([{ ...black, quantity: 1 }, { ...black, quantity: 2 }]));
+      expect(onViolation).toHaveBeenCalledWith(
+        expect.stringContaining('State invariant broken'),
+        expect.objectContaining({ errors: ['cart.items has duplicate ids: 2:black-128gb'] })
+      );
+    });
+
+    test('Fallback lines should be merged into the host store per variant, up to the stock', async () => {
+      const { createSafeStoreLoader, remoteRegistry } = require('host/utils');
+      const hostStore = createStore(createRootReducer());
+      hostStore.dispatch(actions.addToCart({ ...black, stock: 2 }));
+
+      const hostRemoteEntry = mockHostRemoteEntry();
+      remoteRegistry.registerModule('host/store', () => Promise.reject(new Error('host is down')));
+      const loader = createSafeStoreLoader({ retries: 1, retryDelay: 0, pollInterval: 10 });
+      const fallbackStore = await loader.loadStore();
+      fallbackStore.dispatch(actions.addToCart({ ...black, stock: 2 }));
+      fallbackStore.dispatch(actions.addToCart({ ...black, stock: 2 }));
+      fallbackStore.dispatch(actions.addToCart(blue));
+
+      const swapped = new Promise(resolve => loader.onStoreChange(resolve));
+      hostRemoteEntry.serve(hostStore);
+      await swapped;
+
+      expect(actions.selectCartQuantities(hostStore.getState())).toEqual({ '2:black-128gb': 2, '2:blue-128gb': 1 });
+
+      hostRemoteEntry.restore();
+    });
+  });
+
+  describe('Action Validation Contract', () => {
+    const { createStore, applyMiddleware } = require('redux');
+    const { createRootReducer, createValidationMiddleware, actionSchemas } = require('shared-store');
+    const { validateSchema } = require('host/utils');
+
+    const createValidatedStore = (options = {}) => {
+      const onViolation = jest.fn();
+      const validatedStore = createStore(createRootReducer(), applyMiddleware(createValidationMiddleware({
+        validate: validateSchema,
+        getSource: () => 'product',
+        onViolation,
+        ...options,
+      })));
+      return { validatedStore, onViolation };
+    };
+
+    test('Every payload-carrying cart and user action should have a schema', () => {
+      ['ADD_TO_CART', 'REMOVE_FROM_CART', 'UPDATE_QUANTITY', 'SET_CART_ITEMS', 'SET_USER', 'UPDATE_USER_PREFERENCES']
+        .forEach(type => expect(actionSchemas[type]).toBeDefined());
+    });
+
+    test('Valid actions should pass without reports', () => {
+      const { validatedStore, onViolation } = createValidatedStore();
+      validatedStore.dispatch(actions.addToCart({ id: 1, name: 'Item 1', price: 10 }));
+      validatedStore.dispatch(actions.updateQuantity(1, 3));
+      validatedStore.dispatch(actions.updateUserPreferences({ theme: 'dark' }));
+      expect(onViolation).not.toHaveBeenCalled();
+    });
+
+    test('Invalid payloads should be reported with the dispatching remote', () => {
+      const { validatedStore, onViolation } = createValidatedStore();
+      validatedStore.dispatch(actions.addToCart({ id: 1, name: 'Item 1' }));
+
+      expect(onViolation).toHaveBeenCalledWith(
+        'Invalid ADD_TO_CART dispatched by product',
+        expect.objectContaining({ source: 'product', errors: ['payload.price is required'] })
+      );
+      // In warn mode the action still goes through, and breaks the totals
+      expect(onViolation).toHaveBeenCalledWith(
+        expect.stringContaining('State invariant broken after ADD_TO_CART'),
+        expect.objectContaining({ errors: [expect.stringContaining('cart.total')] })
+      );
+    });
+
+    test('Invalid payloads should be dropped in reject mode', () => {
+      const { validatedStore, onViolation } = createValidatedStore({ mode: 'reject' });
+      validatedStore.dispatch(actions.setCartItems([{ id: 1, name: 'Item 1', price: 10 }]));
+
+      expect(onViolation).toHaveBeenCalledTimes(1);
+      expect(onViolation.mock.calls[0][1].errors).toEqual(['payload[0].quantity is required']);
+      expect(validatedStore.getState().cart.items).toHaveLength(0);
+    });
+
+    test('Duplicate item ids should break the state invariants', () => {
+      const { validatedStore, onViolation } = createValidatedStore();
+      validatedStore.dispatch(actions.setCartItems([
+        { id: 1, name: 'Item 1', price: 10, quantity: 1 },
+        { id: 1, name: 'Item 1', price: 10, quantity: 2 },
+      ]));
+
+      expect(onViolation).toHaveBeenCalledWith(
+        expect.stringContaining('State invariant broken'),
+        expect.objectContaining({ errors: ['cart.items has duplicate ids: 1'] })
+      );
+    });
+  });
+
+  describe('Auth Contract', () => {
+    const { createStore, applyMiddleware } = require('redux');
+    const {
+      createRootReducer,
+      createThunkMiddleware,
+      configureAuth,
+      getAuthConfig,
+      createMockAuthAdapter,
+      watchSessionExpiry,
+    } = require('shared-store');
+
+    const credentials = { email: 'demo@example.com', password: 'demo123' };
+    let previousConfig;
+
+    const createAuthStore = () => createStore(createRootReducer(), applyMiddleware(createThunkMiddleware()));
+
+    beforeEach(() => {
+      previousConfig = getAuthConfig();
+      configureAuth({ adapter: createMockAuthAdapter({ delay: 0 }) });
+    });
+
+    afterEach(() => {
+      configureAuth(previousConfig);
+      localStorage.clear();
+    });
+
+    test('login should start a session and store the token', async () => {
+      const authStore = createAuthStore();
+      const session = await authStore.dispatch(actions.login(credentials));
+
+      const state = authStore.getState();
+      expect(actions.selectSessionStatus(state)).toBe('authenticated');
+      expect(actions.selectIsSignedIn(state)).toBe(true);
+      expect(state.auth.token).toBe(session.token);
+      expect(state.user.user).toEqual({ name: 'Demo User', email: 'demo@example.com' });
+      expect(getAuthConfig().tokenStorage.load().token).toBe(session.token);
+    });
+
+    test('Failed logins should be rejected and recorded', async () => {
+      const authStore = createAuthStore();
+      await expect(authStore.dispatch(actions.login({ ...credentials, password: 'wrong' })))
+        .rejects.toThrow('Invalid email or password');
+
+      expect(authStore.getState().auth).toMatchObject({ status: 'anonymous', error: 'Invalid email or password' });
+      expect(actions.selectIsSignedIn(authStore.getState())).toBe(false);
+    });
+
+    test('logoutUser should end the session and drop the token', async () => {
+      const authStore = createAuthStore();
+      await authStore.dispatch(actions.login(credentials));
+      await authStore.dispatch(actions.logoutUser());
+
+      expect(actions.selectSessionStatus(authStore.getState())).toBe('anonymous');
+      expect(authStore.getState().user.user).toBeNull();
+      expect(getAuthConfig().tokenStorage.load()).toBeNull();
+    });
+
+    test('Stored sessions should be restored until they expire', async () => {
+      await createAuthStore().dispatch(actions.login(credentials));
+
+      const nextVisit = createAuthStore();
+      expect(nextVisit.dispatch(actions.restoreSession())).not.toBeNull();
+      expect(actions.selectIsSignedIn(nextVisit.getState())).toBe(true);
+
+      getAuthConfig().tokenStorage.save({ ...getAuthConfig().tokenStorage.load(), expiresAt: Date.now() - 1 });
+      const laterVisit = createAuthStore();
+      expect(laterVisit.dispatch(actions.restoreSession())).toBeNull();
+      expect(getAuthConfig().tokenStorage.load()).toBeNull();
+    });
+
+    test('Sessions should expire when their token runs out', async () => {
+      configureAuth({ adapter: createMockAuthAdapter({ delay: 0, expiresIn: 0.05 }) });
+      const authStore = createAuthStore();
+      const stopWatching = watchSessionExpiry(authStore, actions.expireSession);
+      authStore.dispatch(actions.updateUserPreferences({ theme: 'dark' }));
+
+      await authStore.dispatch(actions.login(credentials));
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      const state = authStore.getState();
+      expect(actions.selectSessionStatus(state)).toBe('expired');
+      expect(state.user.isAuthenticated).toBe(false);
+      expect(state.user.preferences.theme).toBe('dark');
+      stopWatching();
+    });
+  });
+
+  describe('Async Action Contract', () => {
+    test('Host store should run async actions with the shared utilities', async () => {
+      const result = await store.dispatch(async (dispatch, getState, extra) => {
+        expect(typeof extra.apiCall).toBe('function');
+        expect(extra.eventEmitter).toBeDefined();
+        dispatch(actions.setCartItems([{ id: 7, name: 'Item 7', price: 5, quantity: 2 }]));
+        return getState().cart.total;
+      });
+
+      expect(result).toBe(10);
+      store.dispatch(actions.clearCart());
+    });
+
+    test('Failed async actions should be reported and still reject', async () => {
+      const { logger } = require('host/utils');
+      const errorSpy = jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+      await expect(store.dispatch(async () => {
+        throw new Error('order failed');
+      })).rejects.toThrow('order failed');
+      expect(errorSpy).toHaveBeenCalled();
+
+      errorSpy.mockRestore();
+    });
+
+    test('Fallback store should run async actions too', async () => {
+      const { createSafeStoreLoader } = require('host/utils');
+      const fallbackStore = createSafeStoreLoader({
+        getThunkExtraArgument: () => ({ source: 'fallback' }),
+      }).getFallbackStore();
+
+      const source = await fallbackStore.dispatch(async (dispatch, getState, extra) => {
+        dispatch(actions.addToCart({ id: 1, name: 'Item 1', price: 10 }));
+        return extra.source;
+      });
+
+      expect(source).toBe('fallback');
+      expect(fallbackStore.getState().cart.itemCount).toBe(1);
+    });
+
+    test('Host and fallback async actions should get the same apiCall', async () => {
+      const { apiCall } = require('shared-store');
+      const { utilsLoader } = require('host/utils');
+
+      await store.dispatch(async (dispatch, getState, extra) => {
+        expect(extra.apiCall).toBe(apiCall);
+      });
+      expect(utilsLoader.getFallbackUtils().apiCall).toBe(apiCall);
+      expect(require('host/utils').apiCall).toBe(apiCall);
+    });
+  });
+
+  describe('Reducer Injection Contract', () => {
+    const filtersReducer = (state = { category: 'all' }, action) =>
+      action.type === 'test/SET_CATEGORY' ? { category: action.payload } : state;
+
+    test('host/store should expose injectReducer and ejectReducer', () => {
+      expect(typeof actions.injectReducer).toBe('function');
+      expect(typeof actions.ejectReducer).toBe('function');
+      expect(typeof store.injectReducer).toBe('function');
+    });
+
+    test('Injected slices should be added to and removed from the state', () => {
+      actions.injectReducer('testFilters', filtersReducer, { owner: 'product' });
+      store.dispatch({ type: 'test/SET_CATEGORY', payload: 'Audio' });
+      expect(store.getState().testFilters).toEqual({ category: 'Audio' });
+      expect(store.getState()).toHaveProperty('cart');
+
+      actions.ejectReducer('testFilters', { owner: 'product' });
+      expect(store.getState()).not.toHaveProperty('testFilters');
+      expect(store.getState()).toHaveProperty('user');
+    });
+
+    test('Repeated injection of the same reducer should be reference counted', () => {
+      actions.injectReducer('testFilters', filtersReducer, { owner: 'product' });
+      actions.injectReducer('testFilters', filtersReducer, { owner: 'product' });
+
+      actions.ejectReducer('testFilters', { owner: 'product' });
+      expect(store.getState()).toHaveProperty('testFilters');
+
+      actions.ejectReducer('testFilters', { owner: 'product' });
+      expect(store.getState()).not.toHaveProperty('testFilters');
+    });
+
+    test('Key collisions should be rejected', () => {
+      expect(() => actions.injectReducer('cart', filtersReducer)).toThrow('reserved');
+
+      actions.injectReducer('testFilters', filtersReducer, { owner: 'product' });
+      expect(() => actions.injectReducer('testFilters', (state = {}) => state, { owner: 'cart' }))
+        .toThrow('already registered by product');
+      expect(() => actions.ejectReducer('testFilters', { owner: 'cart' })).toThrow();
+
+      actions.ejectReducer('testFilters', { owner: 'product' });
+    });
+
+    test('Fallback store should support reducer injection', () => {
+      const { createSafeStoreLoader } = require('host/utils');
+      const fallbackStore = createSafeStoreLoader().getFallbackStore();
+
+      fallbackStore.injectReducer('testFilters', filtersReducer, { owner: 'product' });
+      expect(fallbackStore.getState().testFilters).toEqual({ category: 'all' });
+      fallbackStore.ejectReducer('testFilters');
+      expect(fallbackStore.getState()).not.toHaveProperty('testFilters');
+    });
+  });
+
+  describe('Fallback Store Parity Contract', () => {
+    test('Fallback store should handle every host action the same way', () => {
+      const { createStore } = require('redux');
+      const { createRootReducer } = require('shared-store');
+      const { createSafeStoreLoader } = require('host/utils');
+
+      const hostStore = createStore(createRootReducer());
+      const fallbackStore = createSafeStoreLoader().getFallbackStore();
+
+      const dispatched = [
+        actions.addToCart({ id: 1, name: 'Item 1', price: 10 }),
+        actions.addToCart({ id: 2, name: 'Item 2', price: 20 }),
+        actions.addToCart({ id: 1, name: 'Item 1', price: 10 }),
+        actions.updateQuantity(2, 4),
+        actions.removeFromCart(1),
+        actions.setUser({ name: 'Test User' }),
+        actions.updateUserPreferences({ theme: 'dark' }),
+        actions.setCartItems([{ id: 3, name: 'Item 3', price: 5, quantity: 2 }]),
+        actions.clearCart(),
+        actions.logout(),
+      ];
+
+      expect(fallbackStore.getState()).toEqual(hostStore.getState());
+      dispatched.forEach((action) => {
+        hostStore.dispatch(action);
+        fallbackStore.dispatch(action);
+        expect(fallbackStore.getState()).toEqual(hostStore.getState());
+      });
+    });
+  });
+
+  describe('Fallback Store Handoff Contract', () => {
+    test('Polling should load a host that starts later through a fresh remoteEntry', async () => {
+      const { createStore } = require('redux');
+      const { createRootReducer } = require('shared-store');
+      const { createSafeStoreLoader, remoteRegistry } = require('host/utils');
+
+      const hostRemoteEntry = mockHostRemoteEntry();
+      // The build-time `host` remote keeps rejecting once its first load failed
+      const buildTimeLoader = jest.fn(() => Promise.reject(new Error('host is down')));
+      remoteRegistry.registerModule('host/store', buildTimeLoader);
+      const loader = createSafeStoreLoader({
+        retries: 1,
+        retryDelay: 0,
+        pollInterval: 10,
+        hostRemoteEntry: 'http://localhost:3000/remoteEntry.js',
+      });
+      await loader.loadStore();
+      // Let the poll fail at least once before the host comes up
+      while (hostRemoteEntry.scripts.length < 2) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+
+      const hostStore = createStore(createRootReducer());
+      const swapped = new Promise(resolve => loader.onStoreChange(resolve));
+      hostRemoteEntry.serve(hostStore);
+
+      expect(await swapped).toBe(hostStore);
+      expect(buildTimeLoader).toHaveBeenCalledTimes(1);
+      const [first, ...retries] = hostRemoteEntry.scripts;
+      expect(first.src).toBe('http://localhost:3000/remoteEntry.js');
+      retries.forEach(script => expect(script.src).toMatch(/^http:\/\/localhost:3000\/remoteEntry\.js\?reload=\d+$/));
+
+      hostRemoteEntry.restore();
+    });
+
+    test('Fallback state should move into the host store once it becomes available', async () => {
+      const { createStore } = require('redux');
+      const { createRootReducer } = require('shared-store');
+      const { createSafeStoreLoader, remoteRegistry } = require('host/utils');
+
+      const hostStore = createStore(createRootReducer());
+      hostStore.dispatch(actions.addToCart({ id: 1, name: 'Item 1', price: 10 }));
+
+      const hostRemoteEntry = mockHostRemoteEntry();
+      remoteRegistry.registerModule('host/store', () => Promise.reject(new Error('host is down')));
+      const loader = createSafeStoreLoader({ retries: 1, retryDelay: 0, pollInterval: 10 });
+
+      const fallbackStore = await loader.loadStore();
+      expect(loader.isUsingFallback()).toBe(true);
+      fallbackStore.dispatch(actions.addToCart({ id: 1, name: 'Item 1', price: 10 }));
+      fallbackStore.dispatch(actions.addToCart({ id: 2, name: 'Item 2', price: 20 }));
+
+      const swapped = new Promise(resolve => loader.onStoreChange(resolve));
+      hostRemoteEntry.serve(hostStore);
+
+      expect(await swapped).toBe(hostStore);
+      expect(loader.getStore()).toBe(hostStore);
+      expect(loader.isUsingFallback()).toBe(false);
+      expect(hostStore.getState().cart.itemCount).toBe(3);
+      expect(hostStore.getState().cart.total).toBe(40);
+
+      hostRemoteEntry.restore();
+    });
+
+    test('Only preferences changed in standalone mode should reach the host store', async () => {
+      const { createStore } = require('redux');
+      const { createRootReducer } = require('shared-store');
+      const { createSafeStoreLoader, remoteRegistry } = require('host/utils');
+
+      const hostStore = createStore(createRootReducer());
+      hostStore.dispatch(actions.updateUserPreferences({ currency: 'EUR', language: 'es' }));
+
+      const hostRemoteEntry = mockHostRemoteEntry();
+      remoteRegistry.registerModule('host/store', () => Promise.reject(new Error('host is down')));
+      const loader = createSafeStoreLoader({ retries: 1, retryDelay: 0, pollInterval: 10 });
+      const fallbackStore = await loader.loadStore();
+      fallbackStore.dispatch(actions.setUser({ name: 'Test User' }));
+      fallbackStore.dispatch(actions.updateUserPreferences({ theme: 'dark' }));
+
+      const swapped = new Promise(resolve => loader.onStoreChange(resolve));
+      hostRemoteEntry.serve(hostStore);
+      await swapped;
+
+      expect(hostStore.getState().user.user).toEqual({ name: 'Test User' });
+      expect(hostStore.getState().user.preferences).toEqual({ theme: 'dark', currency: 'EUR', language: 'es' });
+
+      hostRemoteEntry.restore();
+    });
+  });
+
+  describe('Store Persistence Contract', () => {
+    const { createStore } = require('redux');
+    const { createRootReducer, createStatePersistence } = require('shared-store');
+
+    afterEach(() => {
+      localStorage.clear();
+    });
+
+    test('Whitelisted slices should be saved and rehydrated', () => {
+      const persistence = createStatePersistence({ key: 'test-state', whitelist: ['cart'] });
+      const firstSession = createStore(createRootReducer(), persistence.loadState());
+      persistence.persistStore(firstSession);
+
+      firstSession.dispatch(actions.addToCart({ id: 1, name: 'Item 1', price: 10 }));
+      firstSession.dispatch(actions.setUser({ name: 'Test User' }));
+
+      const saved = JSON.parse(localStorage.getItem('test-state:v1'));
+      expect(Object.keys(saved)).toEqual(['cart']);
+
+      const secondSession = createStore(createRootReducer(), persistence.loadState());
+      expect(secondSession.getState().cart.itemCount).toBe(1);
+      expect(secondSession.getState().cart.total).toBe(10);
+      expect(secondSession.getState().user.user).toBeNull();
+    });
+
+    test('State saved by an older version should be migrated', () => {
+      localStorage.setItem('test-state:v1', JSON.stringify({
+        cart: { items: [{ id: 1, name: 'Item 1', price: 10, qty: 2 }], total: 20, itemCount: 2 },
+      }));
+
+      const persistence = createStatePersistence({
+        key: 'test-state',
+        version: 2,
+        migrations: {
+          2: state => ({
+            ...state,
+            cart: {
+              ...state.cart,
+              items: state.cart.items.map(({ qty, ...item }) => ({ ...item, quantity: qty })),
+            },
+          }),
+        },
+      });
+
+      const state = persistence.loadState();
+      expect(state.cart.items[0].quantity).toBe(2);
+      expect(localStorage.getItem('test-state:v1')).toBeNull();
+      expect(localStorage.getItem('test-state:v2')).not.toBeNull();
+    });
+
+    test('Unreadable persisted state should be discarded', () => {
+      localStorage.setItem('test-state:v1', '{not json');
+
+      const persistence = createStatePersistence({ key: 'test-state' });
+      expect(persistence.loadState()).toBeUndefined();
+      expect(localStorage.getItem('test-state:v1')).toBeNull();
+    });
+  });
+
+  describe('Cross-Tab Sync Contract', () => {
+    const { createStore, applyMiddleware } = require('redux');
+    const { createRootReducer, createCrossTabSync } = require('shared-store');
+
+    // In-memory stand-in for BroadcastChannel: async delivery to every other tab
+    const createHub = () => {
+      const listeners = [];
+      return {
+        connect: () => {
+          let own = null;
+          return {
+            postMessage: message => listeners
+              .filter(listener => listener !== own)
+              .forEach(listener => setTimeout(() => listener(message), 0)),
+            subscribe: (listener) => {
+              own = listener;
+              listeners.push(listener);
+              return () => listeners.splice(listeners.indexOf(listener), 1);
+            },
+            close: () => {},
+          };
+        },
+      };
+    };
+
+    const flush = () => new Promise(resolve => setTimeout(resolve, 10));
+
+    const openTab = (hub) => {
+      const sync = createCrossTabSync({ transport: hub.connect(), heartbeatInterval: 60000 });
+      const tabStore = createStore(createRootReducer(), applyMiddleware(sync.middleware));
+      return { sync, store: tabStore };
+    };
+
+    test('Cart and user actions should reach other tabs', async () => {
+      const hub = createHub();
+      const first = openTab(hub);
+      const second = openTab(hub);
+      await flush();
+
+      first.store.dispatch(actions.setUser({ name: 'Test User' }));
+      first.store.dispatch(actions.addToCart({ id: 1, name: 'Item 1', price: 10 }));
+      await flush();
+      expect(second.store.getState().cart.itemCount).toBe(1);
+      expect(second.store.getState().user.isAuthenticated).toBe(true);
+
+      second.store.dispatch(actions.logout());
+      await flush();
+      expect(first.store.getState().user.isAuthenticated).toBe(false);
+
+      first.sync.stop();
+      second.sync.stop();
+    });
+
+    test('A newly opened tab should receive the leader state', async () => {
+      const hub = createHub();
+      const first = openTab(hub);
+      first.store.dispatch(actions.addToCart({ id: 1, name: 'Item 1', price: 10 }));
+      await flush();
+
+      const second = openTab(hub);
+      await flush();
+
+      expect(first.sync.isLeader()).toBe(true);
+      expect(second.sync.isLeader()).toBe(false);
+      expect(second.store.getState().cart.items).toEqual(first.store.getState().cart.items);
+
+      first.sync.stop();
+      second.sync.stop();
+    });
+
+    test('Concurrent changes should converge on the leader state', async () => {
+      const hub = createHub();
+      const first = openTab(hub);
+      const second = openTab(hub);
+      await flush();
+
+      first.store.dispatch(actions.addToCart({ id: 1, name: 'Item 1', price: 10 }));
+      second.store.dispatch(actions.addToCart({ id: 2, name: 'Item 2', price: 20 }));
+      await flush();
+      await flush();
+
+      expect(first.sync.getLeaderId()).toBe(second.sync.getLeaderId());
+      expect(second.store.getState().cart).toEqual(first.store.getState().cart);
+      expect(first.store.getState().cart.itemCount).toBe(2);
+
+      first.sync.stop();
+      second.sync.stop();
+    });
+
+    test('A tab restored from the back/forward cache should rejoin the others', async () => {
+      const hub = createHub();
+      const listener = jest.fn();
+      hub.connect().subscribe(listener);
+      const tab = openTab(hub);
+      await flush();
+
+      const pageTransition = (type, persisted) => {
+        const event = new Event(type);
+        event.persisted = persisted;
+        window.dispatchEvent(event);
+      };
+
+      pageTransition('pagehide', true);
+      pageTransition('pageshow', true);
+      tab.store.dispatch(actions.addToCart({ id: 1, name: 'Item 1', price: 10 }));
+      await flush();
+      expect(listener.mock.calls.map(([message]) => message.type))
+        .toEqual(['hello', 'bye', 'hello', 'action']);
+
+      listener.mockClear();
+      pageTransition('pagehide', false);
+      pageTransition('pageshow', true);
+      tab.store.dispatch(actions.addToCart({ id: 2, name: 'Item 2', price: 20 }));
+      await flush();
+      expect(listener.mock.calls.map(([message]) => message.type)).toEqual(['bye']);
+    });
+  });
+
   describe('Store Export Contract', () => {
     test('Store should be exportable from host/store', async () => {
       const storeModule = await import('host/store');
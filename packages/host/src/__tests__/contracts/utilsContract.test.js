@@ -39,6 +39,16 @@ describe('Shared Utilities Contract Tests', () => {
       expect(usd).not.toBe(eur);
     });
 
+    test('Formatting defaults should be configurable', () => {
+      utils.configureFormatting({ currency: 'EUR', locale: 'de-DE' });
+
+      expect(utils.getFormattingDefaults()).toEqual({ currency: 'EUR', locale: 'de-DE' });
+      expect(utils.formatCurrency(1234.56)).toMatch(/1\.234,56\s€/);
+      expect(utils.formatCurrency(1234.56, 'USD', 'en-US')).toBe('$1,234.56');
+
+      utils.configureFormatting({ currency: 'USD', locale: 'en-US' });
+    });
+
     test('formatDate should exist and work correctly', () => {
       expect(utils.formatDate).toBeDefined();
       expect(typeof utils.formatDate).toBe('function');
@@ -134,6 +144,166 @@ describe('Shared Utilities Contract Tests', () => {
       expect(callback).toHaveBeenCalledWith({ data: 'test' });
       utils.eventEmitter.off('test-event', callback);
     });
+
+    test('on should return an unsubscribe function', () => {
+      const callback = jest.fn();
+      const unsubscribe = utils.eventEmitter.on('test-event', callback);
+      unsubscribe();
+      utils.eventEmitter.emit('test-event', { data: 'test' });
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    test('eventEmitter should support namespaced and wildcard listeners', () => {
+      const { EventEmitter } = require('host/utils');
+      const emitter = new EventEmitter();
+      const cartListener = jest.fn();
+      const allListener = jest.fn();
+      const exactListener = jest.fn();
+
+      emitter.on('cart:*', cartListener);
+      emitter.on('*', allListener);
+      emitter.on('product:added', exactListener);
+
+      emitter.emit('cart:updated', { itemCount: 1 });
+      emitter.emit('product:added', { product: 'Laptop' });
+
+      expect(cartListener).toHaveBeenCalledTimes(1);
+      expect(cartListener).toHaveBeenCalledWith({ itemCount: 1 }, 'cart:updated');
+      expect(exactListener).toHaveBeenCalledTimes(1);
+      expect(allListener).toHaveBeenCalledTimes(2);
+    });
+
+    test('eventEmitter should call listeners by priority and isolate errors', () => {
+      const { EventEmitter } = require('host/utils');
+      const emitter = new EventEmitter();
+      const calls = [];
+
+      emitter.on('cart:updated', () => calls.push('default'));
+      emitter.on('cart:updated', () => { throw new Error('faulty listener'); }, { priority: 5 });
+      emitter.on('cart:*', () => calls.push('high'), { priority: 10 });
+      emitter.on('cart:updated', () => calls.push('low'), { priority: -1 });
+
+      expect(() => emitter.emit('cart:updated', {})).not.toThrow();
+      expect(calls).toEqual(['high', 'default', 'low']);
+    });
+
+    test('once should only fire a single time', () => {
+      const { EventEmitter } = require('host/utils');
+      const emitter = new EventEmitter();
+      const callback = jest.fn();
+
+      emitter.once('product:added', callback);
+      emitter.emit('product:added', 1);
+      emitter.emit('product:added', 2);
+
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test('eventEmitter should be the page-wide shared bus', () => {
+      const { getSharedEventEmitter } = require('host/utils');
+      expect(getSharedEventEmitter()).toBe(utils.eventEmitter);
+    });
+
+    test('Joined buses should reach the same subscribers', () => {
+      const { EventEmitter, joinEventEmitters } = require('host/utils');
+      const fallbackBus = new EventEmitter();
+      const hostBus = new EventEmitter();
+      const fallbackListener = jest.fn();
+      const hostListener = jest.fn();
+
+      fallbackBus.on('product-added', fallbackListener);
+      hostBus.on('product-added', hostListener);
+      joinEventEmitters(fallbackBus, hostBus);
+
+      fallbackBus.emit('product-added', { product: 'Laptop' });
+      hostBus.emit('product-added', { product: 'Phone' });
+
+      expect(fallbackListener).toHaveBeenCalledTimes(2);
+      expect(hostListener).toHaveBeenCalledTimes(2);
+    });
+
+    test('Subscriptions made before a join should still unsubscribe', () => {
+      const { EventEmitter, joinEventEmitters } = require('host/utils');
+      const fallbackBus = new EventEmitter();
+      const hostBus = new EventEmitter();
+      const unsubscribed = jest.fn();
+      const removed = jest.fn();
+      const kept = jest.fn();
+
+      const unsubscribe = fallbackBus.on('product-added', unsubscribed);
+      fallbackBus.on('product-added', removed);
+      fallbackBus.on('product-added', kept);
+      joinEventEmitters(fallbackBus, hostBus);
+
+      unsubscribe();
+      fallbackBus.off('product-added', removed);
+      hostBus.emit('product-added', { product: 'Laptop' });
+
+      expect(unsubscribed).not.toHaveBeenCalled();
+      expect(removed).not.toHaveBeenCalled();
+      expect(kept).toHaveBeenCalledTimes(1);
+    });
+
+    test('Window bridge should mirror events both ways without looping', () => {
+      const { EventEmitter, createWindowEventBridge } = require('host/utils');
+      const emitter = new EventEmitter();
+      const emitterListener = jest.fn();
+      const windowListener = jest.fn();
+
+      const bridge = createWindowEventBridge(emitter, ['bridge-test']);
+      emitter.on('bridge-test', emitterListener);
+      window.addEventListener('bridge-test', windowListener);
+
+      emitter.emit('bridge-test', { from: 'emitter' });
+      window.dispatchEvent(new CustomEvent('bridge-test', { detail: { from: 'window' } }));
+
+      expect(emitterListener).toHaveBeenCalledTimes(2);
+      expect(emitterListener).toHaveBeenLastCalledWith({ from: 'window' });
+      expect(windowListener).toHaveBeenCalledTimes(2);
+      expect(windowListener.mock.calls[0][0].detail).toEqual({ from: 'emitter' });
+
+      bridge.disconnect();
+      emitter.emit('bridge-test', { from: 'emitter' });
+      expect(windowListener).toHaveBeenCalledTimes(2);
+      window.removeEventListener('bridge-test', windowListener);
+    });
+
+    test('Late subscribers should be able to replay buffered events', () => {
+      const { EventEmitter } = require('host/utils');
+      const emitter = new EventEmitter({ replayBufferSize: 2 });
+      const callback = jest.fn();
+
+      emitter.emit('product:added', { product: 'Laptop' });
+      emitter.emit('product:added', { product: 'Phone' });
+      emitter.emit('product:added', { product: 'Tablet' });
+
+      expect(emitter.getHistory()).toHaveLength(2);
+      expect(emitter.getLatest('product:added')).toEqual({ product: 'Tablet' });
+
+      emitter.on('product:added', callback, { replay: 5 });
+      expect(callback).toHaveBeenCalledTimes(2);
+      expect(callback).toHaveBeenNthCalledWith(1, { product: 'Phone' });
+      expect(callback).toHaveBeenNthCalledWith(2, { product: 'Tablet' });
+    });
+
+    test('Sticky events should reach new subscribers', () => {
+      const { EventEmitter } = require('host/utils');
+      const emitter = new EventEmitter();
+      const lateListener = jest.fn();
+      const plainListener = jest.fn();
+
+      emitter.setSticky('cart:updated');
+      emitter.emit('cart:updated', { itemCount: 1 });
+      emitter.emit('cart:updated', { itemCount: 2 });
+      emitter.emit('product:added', { product: 'Laptop' });
+
+      emitter.on('cart:updated', lateListener);
+      emitter.on('product:added', plainListener);
+
+      expect(lateListener).toHaveBeenCalledTimes(1);
+      expect(lateListener).toHaveBeenCalledWith({ itemCount: 2 });
+      expect(plainListener).not.toHaveBeenCalled();
+    });
   });
 
   describe('Calculation Utilities Contract', () => {
@@ -153,6 +323,188 @@ describe('Shared Utilities Contract Tests', () => {
     });
   });
 
+  describe('Remote Registry Contract', () => {
+    afterEach(() => {
+      delete window.catalog;
+      utils.remoteRegistry.unregisterRemote('catalog');
+    });
+
+    test('remoteRegistry should be exposed', () => {
+      expect(utils.remoteRegistry).toBeDefined();
+      expect(typeof utils.remoteRegistry.registerRemote).toBe('function');
+      expect(typeof utils.remoteRegistry.loadModule).toBe('function');
+    });
+
+    test('Built-in host modules should be registered', () => {
+      expect(utils.remoteRegistry.isRegistered('host/store')).toBe(true);
+      expect(utils.remoteRegistry.isRegistered('host/utils')).toBe(true);
+    });
+
+    test('Runtime remotes should load through the container API', async () => {
+      const { safeImportHostModule } = require('host/utils');
+      const exposed = { search: jest.fn() };
+      window.catalog = {
+        init: jest.fn(),
+        get: jest.fn(() => Promise.resolve(() => exposed)),
+      };
+
+      utils.remoteRegistry.registerRemote({
+        name: 'catalog',
+        url: 'http://localhost:3003/remoteEntry.js',
+        exposes: ['./Search'],
+      });
+
+      const result = await safeImportHostModule('catalog/Search', 1, 0);
+      expect(result.success).toBe(true);
+      expect(result.module).toBe(exposed);
+      expect(window.catalog.get).toHaveBeenCalledWith('./Search');
+    });
+
+    test('Code running on the host origin should not be attributed to a remote', () => {
+      utils.remoteRegistry.registerRemote({
+        name: 'catalog',
+        url: 'http://localhost:3003/remoteEntry.js',
+        exposes: ['./Search'],
+      });
+      expect(utils.remoteRegistry.findCallerRemote()).toBeNull();
+    });
+
+    test('Remotes sharing the host origin should be told apart by path', () => {
+      const { createRemoteRegistry } = require('host/utils');
+      const registry = createRemoteRegistry();
+      const { origin } = window.location;
+      registry.registerRemote({ name: 'product', url: `${origin}/product/remoteEntry.js` });
+      registry.registerRemote({ name: 'cart', url: `${origin}/cart/remoteEntry.js` });
+      registry.registerRemote({ name: 'legacy', url: `${origin}/remoteEntry.js` });
+
+      const stackFrom = (...urls) => ['Error', ...urls.map(url => `    at fn (${url}:1:1)`)].join('\n');
+
+      expect(registry.findCallerRemote(stackFrom(`${origin}/main.js`, `${origin}/cart/src_CartView.js`)))
+        .toBe('cart');
+      expect(registry.findCallerRemote(stackFrom(`${origin}/product/src_ProductList.js`))).toBe('product');
+      expect(registry.findCallerRemote(stackFrom(`${origin}/main.js`, `${origin}/vendors.js`))).toBeNull();
+    });
+
+    test('Unregistered module paths should fail', async () => {
+      const { safeImportHostModule } = require('host/utils');
+      const result = await safeImportHostModule('catalog/Unknown', 1, 0);
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Unregistered module path');
+    });
+
+    test('Errors that would recur should not be retried', async () => {
+      const { safeImportHostModule } = require('host/utils');
+      console.warn.mockClear();
+      const result = await safeImportHostModule('catalog/Unknown', 3, 0);
+      expect(result.success).toBe(false);
+      expect(console.warn).toHaveBeenCalledTimes(1);
+    });
+
+    test('Failed downloads should be retried', async () => {
+      const { safeImportHostModule } = require('host/utils');
+      const chunkError = Object.assign(new Error('Loading chunk 42 failed'), { name: 'ChunkLoadError' });
+      const loader = jest.fn()
+        .mockImplementationOnce(() => Promise.reject(chunkError))
+        .mockImplementation(() => Promise.resolve({ ok: true }));
+      utils.remoteRegistry.registerModule('catalog/Flaky', loader);
+
+      const result = await safeImportHostModule('catalog/Flaky', 3, 0);
+      expect(result.success).toBe(true);
+      expect(loader).toHaveBeenCalledTimes(2);
+      utils.remoteRegistry.unregisterModule('catalog/Flaky');
+    });
+
+    test('A remote moved to a new URL should load from that URL', () => {
+      window.catalog = { init: jest.fn(), get: jest.fn() };
+      utils.remoteRegistry.registerRemote({
+        name: 'catalog',
+        url: 'http://localhost:3003/remoteEntry.js',
+        exposes: ['./Search'],
+      });
+      utils.remoteRegistry.registerRemote({
+        name: 'catalog',
+        url: 'http://localhost:4003/remoteEntry.js',
+        exposes: ['./Search'],
+      });
+
+      expect(window.catalog).toBeUndefined();
+      utils.remoteRegistry.loadModule('catalog/Search');
+      const script = document.querySelector('script[data-remote="catalog"]');
+      expect(script.src).toBe('http://localhost:4003/remoteEntry.js');
+      script.remove();
+    });
+  });
+
+  describe('I18n Contract', () => {
+    let i18n;
+
+    beforeEach(() => {
+      i18n = require('host/utils').createI18n();
+      i18n.registerNamespace('shop', {
+        en: {
+          greeting: 'Hello, {name}!',
+          items: { zero: 'No items', one: '{count} item', other: '{count} items' },
+        },
+        es: () => Promise.resolve({ default: { greeting: '¡Hola, {name}!' } }),
+      });
+    });
+
+    test('Messages should be interpolated', () => {
+      expect(i18n.t('shop:greeting', { name: 'Ada' })).toBe('Hello, Ada!');
+      expect(i18n.getFixedT('shop')('greeting', { name: 'Ada' })).toBe('Hello, Ada!');
+    });
+
+    test('Plural messages should follow the count', () => {
+      expect(i18n.t('shop:items', { count: 0 })).toBe('No items');
+      expect(i18n.t('shop:items', { count: 1 })).toBe('1 item');
+      expect(i18n.t('shop:items', { count: 5 })).toBe('5 items');
+    });
+
+    test('Locales should load lazily and fall back for missing messages', async () => {
+      const listener = jest.fn();
+      i18n.subscribe(listener);
+
+      expect(i18n.exists('shop:greeting', 'es')).toBe(true); // falls back to en
+      await i18n.setLocale('es-MX');
+
+      expect(i18n.getLocale()).toBe('es-MX');
+      expect(listener).toHaveBeenCalledWith('es-MX');
+      expect(i18n.t('shop:greeting', { name: 'Ada' })).toBe('¡Hola, Ada!');
+      expect(i18n.t('shop:items', { count: 2 })).toBe('2 items');
+    });
+
+    test('The latest locale switch should win over a slower earlier one', async () => {
+      i18n.registerNamespace('slow', {
+        en: { greeting: 'Hello' },
+        es: () => new Promise(resolve => setTimeout(() => resolve({ greeting: 'Hola' }), 50)),
+      });
+
+      const toSpanish = i18n.setLocale('es');
+      await i18n.setLocale('en');
+      await toSpanish;
+
+      expect(i18n.getLocale()).toBe('en');
+      expect(i18n.t('slow:greeting')).toBe('Hello');
+    });
+
+    test('Namespaces should not leak into each other', () => {
+      i18n.registerNamespace('other', { en: { greeting: 'Hi' } });
+      expect(i18n.t('other:greeting')).toBe('Hi');
+      expect(i18n.t('shop:greeting', { name: 'Ada' })).toBe('Hello, Ada!');
+      expect(i18n.t('missing:greeting')).toBe('missing:greeting');
+    });
+
+    test('Failed locale bundles should not break switching locale', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      i18n.registerNamespace('broken', { en: { title: 'Title' }, fr: () => Promise.reject(new Error('offline')) });
+
+      await expect(i18n.setLocale('fr')).resolves.toBe('fr');
+      expect(i18n.t('broken:title')).toBe('Title');
+      expect(warnSpy).toHaveBeenCalled();
+      warnSpy.mockRestore();
+    });
+  });
+
   describe('Utility Export Contract', () => {
     test('Utils should be exportable from host/utils', () => {
       const utilsModule = require('host/utils');
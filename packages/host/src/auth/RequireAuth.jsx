@@ -0,0 +1,23 @@
+import React from "react";
+import { useSelector } from "react-redux";
+import { Navigate, matchPath, useLocation } from "react-router-dom";
+import { selectIsSignedIn } from "../store";
+
+/**
+ * Route wrapper that sends signed-out users to /login and back afterwards.
+ * With `paths`, only those paths (and anything below them) are protected, so a
+ * remote can stay mounted while its user moves in and out of protected pages.
+ */
+function RequireAuth({ children, paths = null }) {
+  const isSignedIn = useSelector(selectIsSignedIn);
+  const location = useLocation();
+
+  const isProtected = !paths || paths.some((path) => matchPath(`${path}/*`, location.pathname));
+  if (isProtected && !isSignedIn) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  return children;
+}
+
+export default RequireAuth;
@@ -0,0 +1,33 @@
+export default {
+  title: "Micro Frontend Host Application",
+  nav: {
+    home: "Home",
+    communication: "Communication",
+    utils: "Shared Utils",
+    signIn: "Sign in",
+    signOut: "Sign out",
+  },
+  home: {
+    title: "Welcome to Micro Frontend Architecture",
+    subtitle: "This is the Host/Shell application",
+  },
+  loading: "Loading...",
+  remotesUnavailable: "⚠️ Micro frontends are unavailable: {error}",
+  login: {
+    title: "Sign in",
+    expired: "Your session has expired. Please sign in again.",
+    continueTo: "Please sign in to continue to {path}.",
+    email: "Email",
+    password: "Password",
+    failed: "Sign-in failed. Check your email and password and try again.",
+    submit: "Sign in",
+    submitting: "Signing in...",
+    demoAccount: "Demo account: {email} / {password}",
+  },
+  remote: {
+    loading: "Loading {name}...",
+    unavailable: "{name} is unavailable right now",
+    failed: "Something went wrong while loading this section. The rest of the app still works.",
+    retry: "Retry loading",
+  },
+};
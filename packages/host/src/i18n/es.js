@@ -0,0 +1,33 @@
+export default {
+  title: "Aplicación host de micro frontends",
+  nav: {
+    home: "Inicio",
+    communication: "Comunicación",
+    utils: "Utilidades compartidas",
+    signIn: "Iniciar sesión",
+    signOut: "Cerrar sesión",
+  },
+  home: {
+    title: "Bienvenido a la arquitectura de micro frontends",
+    subtitle: "Esta es la aplicación host/shell",
+  },
+  loading: "Cargando...",
+  remotesUnavailable: "⚠️ Los micro frontends no están disponibles: {error}",
+  login: {
+    title: "Iniciar sesión",
+    expired: "Tu sesión ha caducado. Vuelve a iniciar sesión.",
+    continueTo: "Inicia sesión para continuar a {path}.",
+    email: "Correo electrónico",
+    password: "Contraseña",
+    failed: "No se pudo iniciar sesión. Revisa tu correo y contraseña e inténtalo de nuevo.",
+    submit: "Iniciar sesión",
+    submitting: "Iniciando sesión...",
+    demoAccount: "Cuenta de demostración: {email} / {password}",
+  },
+  remote: {
+    loading: "Cargando {name}...",
+    unavailable: "{name} no está disponible en este momento",
+    failed: "Algo salió mal al cargar esta sección. El resto de la aplicación sigue funcionando.",
+    retry: "Reintentar",
+  },
+};
@@ -0,0 +1,23 @@
+import { useEffect, useState } from "react";
+import { i18n } from "host/utils";
+import en from "./en";
+
+export const NAMESPACE = "shell";
+
+// English ships with the bundle; other locales load when first selected
+i18n.registerNamespace(NAMESPACE, {
+  en,
+  es: () => import("./es"),
+});
+
+/**
+ * Shell messages in the active locale, which PreferencesProvider keeps in line
+ * with the user's language preference
+ */
+export const useTranslation = () => {
+  const [, setVersion] = useState(0);
+
+  useEffect(() => i18n.subscribe(() => setVersion((version) => version + 1)), []);
+
+  return i18n.getFixedT(NAMESPACE);
+};
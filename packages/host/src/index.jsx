@@ -1,11 +1,14 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
+import { eventEmitter, createWindowEventBridge } from "host/utils";
 import App from "./App";
 
+// Mirror these shared events to window CustomEvents (and back) so both channels see them
+createWindowEventBridge(eventEmitter, ["product-added", "cart-updated", "user-action"]);
+
 const root = ReactDOM.createRoot(document.getElementById("root"));
 root.render(
   <React.StrictMode>
     <App />
   </React.StrictMode>
 );
-
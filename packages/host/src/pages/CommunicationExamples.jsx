@@ -1,6 +1,15 @@
 import React, { useState, useEffect } from "react";
 import { useSelector, useDispatch } from "react-redux";
-import { addToCart, setUser } from "../store";
+import {
+  addToCart,
+  setUser,
+  updateUserPreferences,
+  selectCartItems,
+  selectCartSummary,
+  selectUser,
+  selectUserPreferences,
+} from "../store";
+import { formatCurrency } from "host/utils";
 import "./CommunicationExamples.css";
 
 /**
@@ -13,17 +22,38 @@ import "./CommunicationExamples.css";
  */
 
 // Example 1: Props Passing Component
-function PropsExample({ user, theme, onThemeChange }) {
+function PropsExample({ user, preferences, onPreferencesChange }) {
   return (
     <div className="example-card">
       <h3>1. Props Passing</h3>
       <p>Data passed from parent (Host) to child (Micro Frontend)</p>
       <div className="example-content">
         <p><strong>User:</strong> {user?.name || "Guest"}</p>
-        <p><strong>Theme:</strong> {theme}</p>
-        <button onClick={() => onThemeChange(theme === "light" ? "dark" : "light")}>
+        <p><strong>Theme:</strong> {preferences.theme}</p>
+        <button onClick={() => onPreferencesChange({ theme: preferences.theme === "light" ? "dark" : "light" })}>
           Toggle Theme
         </button>
+        <p>
+          <strong>Currency:</strong>{" "}
+          <select
+            value={preferences.currency}
+            onChange={(e) => onPreferencesChange({ currency: e.target.value })}
+          >
+            <option value="USD">USD</option>
+            <option value="EUR">EUR</option>
+            <option value="GBP">GBP</option>
+          </select>
+        </p>
+        <p>
+          <strong>Language:</strong>{" "}
+          <select
+            value={preferences.language}
+            onChange={(e) => onPreferencesChange({ language: e.target.value })}
+          >
+            <option value="en">English</option>
+            <option value="es">Español</option>
+          </select>
+        </p>
       </div>
     </div>
   );
@@ -59,13 +89,22 @@ function BrowserEventsExample() {
     window.dispatchEvent(event);
   };
 
+  const dispatchProductAdded = () => {
+    dispatchEvent("product-added", {
+      product: "Laptop",
+      price: 999,
+      source: "communication-examples",
+      timestamp: new Date().toISOString(),
+    });
+  };
+
   return (
     <div className="example-card">
       <h3>2. Custom Browser Events</h3>
-      <p>Micro frontends communicate via window events</p>
+      <p>Micro frontends communicate via window events (bridged with the shared eventEmitter)</p>
       <div className="example-content">
         <div className="event-buttons">
-          <button onClick={() => dispatchEvent("product-added", { product: "Laptop", price: 999 })}>
+          <button onClick={dispatchProductAdded}>
             Dispatch Product Added
           </button>
           <button onClick={() => dispatchEvent("cart-updated", { itemCount: 5 })}>
@@ -143,9 +182,11 @@ function ApiExample() {
 // Example 4: Redux State Management
 function ReduxExample() {
   const dispatch = useDispatch();
-  const cartItems = useSelector((state) => state.cart.items);
-  const cartTotal = useSelector((state) => state.cart.total);
-  const user = useSelector((state) => state.user.user);
+  const cartItems = useSelector(selectCartItems);
+  const { subtotal, tax, total } = useSelector(selectCartSummary);
+  const user = useSelector(selectUser);
+  const { currency, language } = useSelector(selectUserPreferences);
+  const formatPrice = (amount) => formatCurrency(amount, currency, language);
 
   const handleAddProduct = () => {
     const product = {
@@ -176,10 +217,12 @@ function ReduxExample() {
           <div>
             <h4>Cart State:</h4>
             <p>Items: {cartItems.length}</p>
-            <p>Total: ${cartTotal.toFixed(2)}</p>
+            <p>Subtotal: {formatPrice(subtotal)}</p>
+            <p>Tax: {formatPrice(tax)}</p>
+            <p>Total: {formatPrice(total)}</p>
             <ul>
               {cartItems.map((item) => (
-                <li key={item.id}>{item.name} - ${item.price}</li>
+                <li key={item.id}>{item.name} - {formatPrice(item.price)}</li>
               ))}
             </ul>
           </div>
@@ -195,7 +238,8 @@ function ReduxExample() {
 
 // Main Component
 function CommunicationExamples() {
-  const [theme, setTheme] = useState("light");
+  const dispatch = useDispatch();
+  const preferences = useSelector(selectUserPreferences);
   const [user, setUser] = useState({ name: "Guest User" });
 
   return (
@@ -208,8 +252,8 @@ function CommunicationExamples() {
       <div className="examples-grid">
         <PropsExample 
           user={user} 
-          theme={theme} 
-          onThemeChange={setTheme}
+          preferences={preferences}
+          onPreferencesChange={(changes) => dispatch(updateUserPreferences(changes))}
         />
         <BrowserEventsExample />
         <ApiExample />
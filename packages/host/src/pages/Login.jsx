@@ -0,0 +1,68 @@
+import React, { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useLocation, useNavigate } from "react-router-dom";
+import { DEMO_USERS } from "shared-store";
+import { login, selectSession } from "../store";
+import { useTranslation } from "../i18n";
+
+function Login() {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const t = useTranslation();
+  const { status, error } = useSelector(selectSession);
+  const [credentials, setCredentials] = useState({ email: "", password: "" });
+
+  // Where RequireAuth sent us from
+  const from = location.state?.from;
+  const redirectTo = from ? `${from.pathname}${from.search || ""}` : "/";
+
+  const handleChange = (e) => {
+    setCredentials({
+      ...credentials,
+      [e.target.name]: e.target.value,
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await dispatch(login(credentials));
+      navigate(redirectTo, { replace: true });
+    } catch {
+      // The error is in the auth slice and shown below
+    }
+  };
+
+  return (
+    <div className="login">
+      <h1>{t("login.title")}</h1>
+      {status === "expired" && (
+        <p className="login-notice">{t("login.expired")}</p>
+      )}
+      {from && status !== "expired" && (
+        <p className="login-notice">{t("login.continueTo", { path: from.pathname })}</p>
+      )}
+      <form onSubmit={handleSubmit}>
+        <label>
+          {t("login.email")}
+          <input type="email" name="email" value={credentials.email} onChange={handleChange} required />
+        </label>
+        <label>
+          {t("login.password")}
+          <input type="password" name="password" value={credentials.password} onChange={handleChange} required />
+        </label>
+        {/* The adapter's own message isn't translated */}
+        {error && <p className="login-error" title={error}>{t("login.failed")}</p>}
+        <button type="submit" disabled={status === "authenticating"}>
+          {status === "authenticating" ? t("login.submitting") : t("login.submit")}
+        </button>
+      </form>
+      <p className="login-hint">
+        {t("login.demoAccount", { email: DEMO_USERS[0].email, password: DEMO_USERS[0].password })}
+      </p>
+    </div>
+  );
+}
+
+export default Login;
@@ -53,8 +53,10 @@ function UtilsExample() {
 
   const handleEmitEvent = () => {
     eventEmitter.emit('product-added', {
-      id: generateId(),
-      message: 'Event from Utils Example',
+      productId: generateId(),
+      product: 'Event from Utils Example',
+      price: 0,
+      source: 'utils-example',
       timestamp: new Date().toISOString(),
     });
   };
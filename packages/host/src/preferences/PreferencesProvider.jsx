@@ -0,0 +1,61 @@
+import { useEffect, useLayoutEffect } from "react";
+import { useSelector } from "react-redux";
+import { configureFormatting, i18n } from "host/utils";
+import { selectUserPreferences } from "../store";
+
+/**
+ * CSS variables for each theme. Host and remote stylesheets read these with a
+ * fallback, so remotes running on their own keep the light look.
+ */
+export const themes = {
+  light: {
+    "--mf-background": "linear-gradient(135deg, #667eea 0%, #764ba2 100%)",
+    "--mf-surface": "#ffffff",
+    "--mf-header": "rgba(255, 255, 255, 0.95)",
+    "--mf-text": "#333333",
+    "--mf-accent": "#667eea",
+  },
+  dark: {
+    "--mf-background": "linear-gradient(135deg, #1f2340 0%, #2d1b3d 100%)",
+    "--mf-surface": "#1e1e2a",
+    "--mf-header": "rgba(20, 20, 30, 0.95)",
+    "--mf-text": "#e6e6f0",
+    "--mf-accent": "#8fa2ff",
+  },
+};
+
+export const applyTheme = (theme, root = document.documentElement) => {
+  const variables = themes[theme] || themes.light;
+  Object.keys(variables).forEach((name) => root.style.setProperty(name, variables[name]));
+  root.dataset.theme = themes[theme] ? theme : "light";
+};
+
+/**
+ * Applies the user's preferences across the shell and every remote:
+ * the theme as CSS variables on the document root, the currency and
+ * language as defaults for the shared formatters, and the language as the
+ * shared i18n locale
+ */
+function PreferencesProvider({ children }) {
+  const { theme, currency, language } = useSelector(selectUserPreferences);
+
+  // Before paint and before any passive effect formats something. Components
+  // that render amounts read the preferences themselves, so they re-render on a
+  // change instead of relying on these defaults.
+  useLayoutEffect(() => {
+    configureFormatting({ currency, locale: language });
+  }, [currency, language]);
+
+  useEffect(() => {
+    applyTheme(theme);
+  }, [theme]);
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+    i18n.setLocale(language);
+  }, [language]);
+
+  return children;
+}
+
+export default PreferencesProvider;
@@ -0,0 +1,52 @@
+import React from "react";
+import { logger } from "host/utils";
+import { useTranslation } from "../i18n";
+
+// Hooks don't work in the class below, so the message is its own component
+function RemoteErrorMessage({ remote, error, onRetry }) {
+  const t = useTranslation();
+
+  return (
+    <div className="remote-error" role="alert">
+      <h2>{t("remote.unavailable", { name: remote.label })}</h2>
+      <p>{t("remote.failed")}</p>
+      <p className="remote-error-details">{error.message}</p>
+      <button className="remote-retry-btn" onClick={onRetry}>
+        {t("remote.retry")}
+      </button>
+    </div>
+  );
+}
+
+/**
+ * Error Boundary for a single mounted micro frontend
+ * Catches load and render failures so the shell and other remotes keep working
+ */
+class RemoteErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, errorInfo) {
+    const { remote } = this.props;
+    logger.error(`Micro frontend "${remote.name}" failed:`, error, errorInfo?.componentStack);
+  }
+
+  render() {
+    const { remote, onRetry, children } = this.props;
+    const { error } = this.state;
+
+    if (!error) {
+      return children;
+    }
+
+    return <RemoteErrorMessage remote={remote} error={error} onRetry={onRetry} />;
+  }
+}
+
+export default RemoteErrorBoundary;
@@ -0,0 +1,31 @@
+import React, { Suspense, useState } from "react";
+import { remoteRegistry } from "host/utils";
+import RemoteErrorBoundary from "./RemoteErrorBoundary";
+import { useTranslation } from "../i18n";
+import { getRemoteComponent, resetRemoteComponent } from "./remoteComponents";
+
+/**
+ * Mounts one manifest entry behind its own error boundary and Suspense
+ */
+function RemoteRoute({ remote }) {
+  const t = useTranslation();
+  const [attempt, setAttempt] = useState(0);
+  const RemoteApp = getRemoteComponent(remote);
+
+  const handleRetry = () => {
+    // Re-fetch the remoteEntry and remount with a fresh lazy component
+    remoteRegistry.reloadRemote(remote.name);
+    resetRemoteComponent(remote);
+    setAttempt((count) => count + 1);
+  };
+
+  return (
+    <RemoteErrorBoundary key={attempt} remote={remote} onRetry={handleRetry}>
+      <Suspense fallback={<div>{t("remote.loading", { name: remote.label })}</div>}>
+        <RemoteApp />
+      </Suspense>
+    </RemoteErrorBoundary>
+  );
+}
+
+export default RemoteRoute;
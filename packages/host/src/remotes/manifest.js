@@ -0,0 +1,77 @@
+/**
+ * Remote Manifest
+ * Loads the JSON manifest that tells the host which micro frontends to mount,
+ * where their remoteEntry lives and which routes/nav links they own
+ */
+
+import { apiCall, logger, remoteRegistry } from "host/utils";
+
+export const DEFAULT_MANIFEST_URL = "/remotes.json";
+
+const REQUIRED_FIELDS = ["name", "url", "module", "path", "label"];
+
+/**
+ * Module path used by the remote registry, e.g. 'product/ProductApp'
+ */
+export const getModulePath = (entry) => `${entry.name}/${entry.module.replace(/^\.\//, "")}`;
+
+const normalizePath = (path) => `/${path.replace(/^\/+|\/+$/g, "")}`;
+
+/**
+ * Validate, normalise and sort manifest entries by `order`.
+ * `protectedPaths` are relative to the remote's path and require sign-in.
+ * `exposes` lists other modules of the remote that micro frontends may load.
+ */
+export const normalizeManifest = (manifest) => {
+  const entries = Array.isArray(manifest) ? manifest : manifest && manifest.remotes;
+  if (!Array.isArray(entries)) {
+    throw new Error('Remote manifest must contain a "remotes" array');
+  }
+
+  return entries
+    .filter((entry) => {
+      const missing = REQUIRED_FIELDS.filter((field) => !entry[field]);
+      if (missing.length > 0) {
+        logger.warn(`Skipping remote manifest entry, missing: ${missing.join(", ")}`, entry);
+        return false;
+      }
+      return true;
+    })
+    .map((entry) => ({
+      ...entry,
+      module: entry.module.startsWith("./") ? entry.module : `./${entry.module}`,
+      path: normalizePath(entry.path),
+      protectedPaths: (entry.protectedPaths || []).map(normalizePath),
+      exposes: (entry.exposes || []).map((path) => (path.startsWith("./") ? path : `./${path}`)),
+      order: Number.isFinite(entry.order) ? entry.order : Number.MAX_SAFE_INTEGER,
+    }))
+    .sort((a, b) => a.order - b.order);
+};
+
+/**
+ * Register every manifest entry with the shared remote registry
+ */
+export const registerManifest = (entries) => {
+  entries.forEach((entry) => {
+    remoteRegistry.registerRemote({
+      name: entry.name,
+      url: entry.url,
+      exposes: [entry.module, ...(entry.exposes || [])],
+    });
+  });
+  return entries;
+};
+
+/**
+ * Fetch the manifest and register its remotes
+ */
+export const loadRemoteManifest = async (
+  url = (typeof window !== "undefined" && window.__REMOTE_MANIFEST_URL__) || DEFAULT_MANIFEST_URL
+) => {
+  // Skip the HTTP cache so a replaced manifest is picked up on the next page load
+  const result = await apiCall(url, { cache: "no-store" });
+  if (!result.success) {
+    throw new Error(`Failed to load remote manifest from ${url}: ${result.error}`);
+  }
+  return registerManifest(normalizeManifest(result.data));
+};
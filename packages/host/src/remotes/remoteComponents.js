@@ -0,0 +1,27 @@
+/**
+ * Remote Components
+ * Lazily loaded React components for manifest entries, cached per module path
+ * so React.lazy isn't recreated on every render
+ */
+
+import React from "react";
+import { remoteRegistry } from "host/utils";
+import { getModulePath } from "./manifest";
+
+const components = {};
+
+export const getRemoteComponent = (entry) => {
+  const modulePath = getModulePath(entry);
+  if (!components[modulePath]) {
+    components[modulePath] = React.lazy(() => remoteRegistry.loadModule(modulePath));
+  }
+  return components[modulePath];
+};
+
+/**
+ * Forget the cached component. React.lazy keeps a failed import forever,
+ * so a retry needs a fresh lazy wrapper.
+ */
+export const resetRemoteComponent = (entry) => {
+  delete components[getModulePath(entry)];
+};
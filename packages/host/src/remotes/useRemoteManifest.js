@@ -0,0 +1,44 @@
+/**
+ * React hook that loads the remote manifest once on startup
+ */
+
+import { useState, useEffect } from "react";
+import { logger } from "host/utils";
+import { loadRemoteManifest } from "./manifest";
+
+export const useRemoteManifest = () => {
+  const [remotes, setRemotes] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let mounted = true;
+
+    const loadManifest = async () => {
+      try {
+        const entries = await loadRemoteManifest();
+        if (mounted) {
+          setRemotes(entries);
+          setError(null);
+        }
+      } catch (err) {
+        logger.error("Failed to load remote manifest:", err);
+        if (mounted) {
+          setError(err.message);
+        }
+      } finally {
+        if (mounted) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    loadManifest();
+
+    return () => {
+      mounted = false;
+    };
+  }, []);
+
+  return { remotes, isLoading, error };
+};
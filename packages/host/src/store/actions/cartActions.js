@@ -1,37 +0,0 @@
-/**
- * Redux Actions for Cart Management
- * These actions are used across micro frontends to manage cart state
- */
-
-// Action Types
-export const ADD_TO_CART = 'ADD_TO_CART';
-export const REMOVE_FROM_CART = 'REMOVE_FROM_CART';
-export const UPDATE_QUANTITY = 'UPDATE_QUANTITY';
-export const CLEAR_CART = 'CLEAR_CART';
-export const SET_CART_ITEMS = 'SET_CART_ITEMS';
-
-// Action Creators
-export const addToCart = (product) => ({
-  type: ADD_TO_CART,
-  payload: product,
-});
-
-export const removeFromCart = (productId) => ({
-  type: REMOVE_FROM_CART,
-  payload: productId,
-});
-
-export const updateQuantity = (productId, quantity) => ({
-  type: UPDATE_QUANTITY,
-  payload: { productId, quantity },
-});
-
-export const clearCart = () => ({
-  type: CLEAR_CART,
-});
-
-export const setCartItems = (items) => ({
-  type: SET_CART_ITEMS,
-  payload: items,
-});
-
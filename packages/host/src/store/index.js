@@ -3,26 +3,86 @@
  * This store is shared across all micro frontends via Module Federation
  */
 
-import { createStore, combineReducers } from 'redux';
-import cartReducer from './reducers/cartReducer';
-import userReducer from './reducers/userReducer';
+import { createStore, applyMiddleware, compose } from 'redux';
+import {
+  createRootReducer,
+  createStatePersistence,
+  createCrossTabSync,
+  createMiddlewarePipeline,
+  createValidationMiddleware,
+  withReducerInjection,
+  configureAuth,
+  createMockAuthAdapter,
+  watchSessionExpiry,
+  restoreSession,
+  expireSession,
+  apiCall,
+} from 'shared-store';
+import { eventEmitter, logger, remoteRegistry, validateSchema } from 'host/utils';
+
+// Swap the mock adapter for one backed by the real auth API when there is one
+configureAuth({ adapter: createMockAuthAdapter() });
 
 // Combine all reducers
-const rootReducer = combineReducers({
-  cart: cartReducer,
-  user: userReducer,
+const rootReducer = createRootReducer();
+
+// Slices saved to localStorage. Bump `version` and add a migration when their shape changes.
+export const persistence = createStatePersistence({
+  version: 1,
+  whitelist: ['cart'],
+  migrations: {},
+  // Undo history, pending optimistic updates and stock notices only make sense in the current session
+  transforms: {
+    cart: ({ history, stockLimit, ...cart }) => cart,
+  },
 });
 
-// Create the store
-const store = createStore(
+// Cart and user actions are replayed in the app's other open tabs
+export const crossTabSync = createCrossTabSync();
+
+// In development, check payloads against the action schemas and the state
+// against its invariants, naming the micro frontend that dispatched a bad action
+const validation = process.env.NODE_ENV === 'development'
+  ? [createValidationMiddleware({
+    validate: validateSchema,
+    getSource: action => (action.meta && action.meta.source) || remoteRegistry.findCallerRemote() || 'host',
+    onViolation: (message, details) => logger.error(message, details),
+  })]
+  : [];
+
+// Async actions get the shared utilities as their third argument:
+// dispatch(async (dispatch, getState, { apiCall }) => { ... })
+const middleware = createMiddlewarePipeline({
+  extraArgument: { apiCall, eventEmitter, logger },
+  logger,
+  extra: [...validation, crossTabSync.middleware],
+});
+
+// Enable Redux DevTools Extension
+const composeEnhancers = window.__REDUX_DEVTOOLS_EXTENSION_COMPOSE__ || compose;
+
+// Create the store, rehydrated from the last session
+const store = withReducerInjection(createStore(
   rootReducer,
-  // Enable Redux DevTools Extension
-  window.__REDUX_DEVTOOLS_EXTENSION__ && window.__REDUX_DEVTOOLS_EXTENSION__()
-);
+  persistence.loadState(),
+  composeEnhancers(applyMiddleware(...middleware))
+));
+
+persistence.persistStore(store);
+
+// Resume a session from an earlier visit and end it when its token expires
+store.dispatch(restoreSession());
+watchSessionExpiry(store, expireSession);
 
 export default store;
 
-// Export action creators for use in micro frontends
-export * from './actions/cartActions';
-export * from './actions/userActions';
+// Remotes add and remove their own slices: injectReducer('productFilters', reducer, { owner: 'product' })
+export const { injectReducer, ejectReducer } = store;
 
+// Export action creators and selectors for use in micro frontends
+export * from 'shared-store/actions/cartActions';
+export * from 'shared-store/actions/userActions';
+export * from 'shared-store/actions/authActions';
+export * from 'shared-store/selectors';
+export * from 'shared-store/inventory';
+export * from 'shared-store/cartLines';
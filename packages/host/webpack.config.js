@@ -2,17 +2,40 @@ const { merge } = require("webpack-merge");
 const path = require("path");
 const common = require("../../webpack.common.js");
 const ModuleFederationPlugin = require("webpack/lib/container/ModuleFederationPlugin");
+const { Compilation, sources } = require("webpack");
+const fs = require("fs");
 
-// Get remote URLs from environment variables with fallbacks
-const getRemoteUrl = (name, defaultPort) => {
-  const envVar = process.env[`REMOTE_${name.toUpperCase()}_URL`];
-  if (envVar) {
-    return `${name}@${envVar}`;
-  }
-  // Development fallback
-  return `${name}@http://localhost:${defaultPort}/remoteEntry.js`;
+const manifestPath = path.resolve(__dirname, "remotes.manifest.json");
+
+// Get remote URLs from environment variables with fallbacks to the manifest defaults
+const getRemoteUrl = (name, defaultUrl) => {
+  return process.env[`REMOTE_${name.toUpperCase()}_URL`] || defaultUrl;
 };
 
+// Emit remotes.json next to index.html. The host fetches it at startup, so a
+// deployment can add or move a micro frontend by replacing this file alone.
+class RemoteManifestPlugin {
+  apply(compiler) {
+    compiler.hooks.thisCompilation.tap("RemoteManifestPlugin", (compilation) => {
+      compilation.fileDependencies.add(manifestPath);
+      compilation.hooks.processAssets.tap(
+        { name: "RemoteManifestPlugin", stage: Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL },
+        () => {
+          const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+          const remotes = manifest.remotes.map((remote) => ({
+            ...remote,
+            url: getRemoteUrl(remote.name, remote.url),
+          }));
+          compilation.emitAsset(
+            "remotes.json",
+            new sources.RawSource(JSON.stringify({ ...manifest, remotes }, null, 2))
+          );
+        }
+      );
+    });
+  }
+}
+
 module.exports = merge(common, {
   entry: "./src/index.jsx",
   devServer: {
@@ -25,16 +48,14 @@ module.exports = merge(common, {
     alias: {
       'host/utils': path.resolve(__dirname, '../shared-utils/src/index.js'),
       'host/store': path.resolve(__dirname, './src/store/index.js'),
+      'shared-store': path.resolve(__dirname, '../shared-store/src'),
     },
   },
   plugins: [
+    new RemoteManifestPlugin(),
     new ModuleFederationPlugin({
       name: "host",
       filename: "remoteEntry.js",
-      remotes: {
-        product: getRemoteUrl("product", 3001),
-        cart: getRemoteUrl("cart", 3002),
-      },
       exposes: {
         "./store": "./src/store",
         "./utils": "../shared-utils/src/index",
@@ -0,0 +1,75 @@
+/**
+ * Catalog Adapters
+ * Where product data comes from. Every adapter implements:
+ *   listProducts() → Promise<Product[]>
+ *   listPage({ filters, cursor, limit }) → Promise<{ items, nextCursor, total, facets }>
+ *   getProduct(id) → Promise<Product | null>
+ *
+ * Pages are filtered and sorted by the source. `cursor` is opaque: pass back the
+ * previous page's `nextCursor`, which is null after the last page. `facets` are
+ * only included with the first page.
+ */
+
+import { apiCall } from "host/utils";
+import fixtures from "./products.json";
+import { applyFilters, getFacets, serializeFilters } from "./query";
+
+/**
+ * Serves the bundled product fixtures, optionally after a delay to mimic a network
+ */
+export const createLocalCatalogAdapter = ({ products = fixtures, delay = 0 } = {}) => {
+  const respond = (value) => new Promise((resolve) => {
+    setTimeout(() => resolve(value), delay);
+  });
+
+  return {
+    listProducts: () => respond(products.map((product) => ({ ...product }))),
+    listPage: ({ filters, cursor = null, limit = 24 }) => {
+      const results = applyFilters(products, filters);
+      const offset = cursor ? Number(cursor) : 0;
+      const end = offset + limit;
+      return respond({
+        items: results.slice(offset, end).map((product) => ({ ...product })),
+        nextCursor: end < results.length ? String(end) : null,
+        total: results.length,
+        facets: cursor ? null : getFacets(applyFilters(products, { ...filters, category: "all" })),
+      });
+    },
+    getProduct: (id) => {
+      const product = products.find((item) => String(item.id) === String(id));
+      return respond(product ? { ...product } : null);
+    },
+  };
+};
+
+/**
+ * Reads products from a REST endpoint: GET {baseUrl}, GET {baseUrl}/{id} and
+ * GET {baseUrl}/search?limit=&cursor=&q=&category=… for pages
+ */
+export const createHttpCatalogAdapter = ({ baseUrl = "/api/products", request = apiCall } = {}) => {
+  const get = async (url) => {
+    const result = await request(url);
+    if (!result.success) {
+      throw new Error(result.error || `Request to ${url} failed`);
+    }
+    return result.data;
+  };
+
+  return {
+    listProducts: () => get(baseUrl),
+    listPage: ({ filters, cursor = null, limit = 24 }) => {
+      const params = new URLSearchParams({ ...serializeFilters(filters), limit: String(limit) });
+      if (cursor) params.set("cursor", cursor);
+      return get(`${baseUrl}/search?${params}`);
+    },
+    getProduct: async (id) => {
+      try {
+        return await get(`${baseUrl}/${encodeURIComponent(id)}`);
+      } catch (error) {
+        // apiCall only reports the status in its error message
+        if (/status: 404/.test(error.message)) return null;
+        throw error;
+      }
+    },
+  };
+};
@@ -0,0 +1,31 @@
+/**
+ * Product Catalog
+ * The single source of product data for the product pages. Exposed to other
+ * micro frontends as 'product/catalog':
+ *
+ *   const catalog = await remoteRegistry.loadModule('product/catalog');
+ *   const product = await catalog.getProductById(2);
+ */
+
+import { createLocalCatalogAdapter } from "./adapters";
+import { createCatalogRepository } from "./repository";
+
+let catalog = createCatalogRepository({ adapter: createLocalCatalogAdapter() });
+
+/**
+ * Swap the data source, e.g. to createHttpCatalogAdapter() once a backend exists
+ */
+export const configureCatalog = ({ adapter, ttl } = {}) => {
+  catalog = createCatalogRepository({ adapter, ttl });
+  return catalog;
+};
+
+export const getCatalog = () => catalog;
+
+export const getProducts = (options) => catalog.getProducts(options);
+
+export const getProductById = (id, options) => catalog.getProduct(id, options);
+
+export { createLocalCatalogAdapter, createHttpCatalogAdapter } from "./adapters";
+export { createCatalogRepository } from "./repository";
+export { hasVariants, findVariant, getDefaultSelection, getStartingPrice, toCartItem } from "./variants";
@@ -0,0 +1,106 @@
+/**
+ * Catalog Query
+ * Search, facet filters and sorting for product lists, and their mapping to
+ * the URL query string (?q=lap&category=Audio&minPrice=100&inStock=1&sort=price-asc)
+ */
+
+export const SORT_OPTIONS = ["featured", "price-asc", "price-desc", "rating", "name"];
+
+export const DEFAULT_FILTERS = {
+  q: "",
+  category: "all",
+  minPrice: null,
+  maxPrice: null,
+  inStock: false,
+  sort: "featured",
+};
+
+const parsePrice = (value) => {
+  if (value === null || value === "") return null;
+  const price = Number(value);
+  return Number.isFinite(price) && price >= 0 ? price : null;
+};
+
+/**
+ * Read filters from URLSearchParams. Unknown or invalid values fall back to the defaults.
+ */
+export const parseFilters = (searchParams) => {
+  const sort = searchParams.get("sort");
+  return {
+    q: searchParams.get("q") || DEFAULT_FILTERS.q,
+    category: searchParams.get("category") || DEFAULT_FILTERS.category,
+    minPrice: parsePrice(searchParams.get("minPrice")),
+    maxPrice: parsePrice(searchParams.get("maxPrice")),
+    inStock: searchParams.get("inStock") === "1",
+    sort: SORT_OPTIONS.includes(sort) ? sort : DEFAULT_FILTERS.sort,
+  };
+};
+
+/**
+ * Query string params for filters, leaving out defaults so URLs stay short
+ */
+export const serializeFilters = (filters) => {
+  const params = {};
+  if (filters.q && filters.q.trim()) params.q = filters.q.trim();
+  if (filters.category && filters.category !== DEFAULT_FILTERS.category) params.category = filters.category;
+  if (filters.minPrice !== null && filters.minPrice !== undefined) params.minPrice = String(filters.minPrice);
+  if (filters.maxPrice !== null && filters.maxPrice !== undefined) params.maxPrice = String(filters.maxPrice);
+  if (filters.inStock) params.inStock = "1";
+  if (filters.sort && filters.sort !== DEFAULT_FILTERS.sort) params.sort = filters.sort;
+  return params;
+};
+
+export const hasActiveFilters = (filters) => Object.keys(serializeFilters(filters)).length > 0;
+
+// Every search term has to appear in one of these fields
+const SEARCH_FIELDS = ["name", "description", "category", "specs"];
+
+const matchesSearch = (product, q) => {
+  const terms = q.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return true;
+  const text = SEARCH_FIELDS.map((field) => product[field] || "").join(" ").toLowerCase();
+  return terms.every((term) => text.includes(term));
+};
+
+const comparators = {
+  "price-asc": (a, b) => a.price - b.price,
+  "price-desc": (a, b) => b.price - a.price,
+  rating: (a, b) => (b.rating || 0) - (a.rating || 0),
+  name: (a, b) => a.name.localeCompare(b.name),
+};
+
+/**
+ * Filter and sort products. 'featured' keeps the catalog order.
+ */
+export const applyFilters = (products, filters) => {
+  const results = products.filter((product) => (
+    matchesSearch(product, filters.q)
+    && (filters.category === "all" || product.category === filters.category)
+    && (filters.minPrice === null || product.price >= filters.minPrice)
+    && (filters.maxPrice === null || product.price <= filters.maxPrice)
+    && (!filters.inStock || product.inStock)
+  ));
+
+  const compare = comparators[filters.sort];
+  return compare ? [...results].sort(compare) : results;
+};
+
+/**
+ * Facet values for the filter controls: categories with product counts and the price range
+ */
+export const getFacets = (products) => {
+  const categories = {};
+  products.forEach((product) => {
+    categories[product.category] = (categories[product.category] || 0) + 1;
+  });
+  const prices = products.map((product) => product.price);
+
+  return {
+    categories: Object.keys(categories).map((name) => ({ name, count: categories[name] })),
+    price: {
+      min: prices.length > 0 ? Math.min(...prices) : 0,
+      max: prices.length > 0 ? Math.max(...prices) : 0,
+    },
+    inStock: products.filter((product) => product.inStock).length,
+  };
+};
@@ -0,0 +1,123 @@
+/**
+ * Catalog Repository
+ * Caches what an adapter returns for `ttl` ms and shares in-flight requests,
+ * so pages and other remotes asking for the same data trigger one load
+ */
+
+import { serializeFilters } from "./query";
+
+const getQueryKey = (filters, limit) => JSON.stringify({ ...serializeFilters(filters), limit });
+
+export const createCatalogRepository = ({ adapter, ttl = 5 * 60 * 1000, now = Date.now } = {}) => {
+  if (!adapter) {
+    throw new Error("Catalog repository needs an adapter");
+  }
+
+  let list = null;
+  const byId = {};
+  const pages = {};
+  const inflight = {};
+
+  const isFresh = (entry) => Boolean(entry) && now() - entry.loadedAt < ttl;
+
+  const dedupe = (key, load) => {
+    if (!inflight[key]) {
+      inflight[key] = load().finally(() => {
+        delete inflight[key];
+      });
+    }
+    return inflight[key];
+  };
+
+  /**
+   * All products. `force` skips the cache.
+   */
+  const getProducts = ({ force = false } = {}) => {
+    if (!force && isFresh(list)) return Promise.resolve(list.products);
+
+    return dedupe("list", async () => {
+      const products = await adapter.listProducts();
+      const loadedAt = now();
+      list = { products, loadedAt };
+      products.forEach((product) => {
+        byId[String(product.id)] = { product, loadedAt };
+      });
+      return products;
+    });
+  };
+
+  /**
+   * One product, or null when it doesn't exist. `force` skips the cache.
+   */
+  const getProduct = (id, { force = false } = {}) => {
+    const key = String(id);
+    if (!force && isFresh(byId[key])) return Promise.resolve(byId[key].product);
+
+    return dedupe(`product:${key}`, async () => {
+      const product = await adapter.getProduct(id);
+      if (product) {
+        byId[key] = { product, loadedAt: now() };
+      }
+      return product || null;
+    });
+  };
+
+  /**
+   * One page of filtered and sorted products, see listPage() in ./adapters.
+   * `force` skips the cache.
+   */
+  const getPage = ({ filters, cursor = null, limit = 24, force = false }) => {
+    const queryKey = getQueryKey(filters, limit);
+    const pageKey = cursor || "";
+    const cached = pages[queryKey] && pages[queryKey][pageKey];
+    if (!force && isFresh(cached)) return Promise.resolve(cached.page);
+
+    return dedupe(`page:${queryKey}:${pageKey}`, async () => {
+      const page = await adapter.listPage({ filters, cursor, limit });
+      const loadedAt = now();
+      pages[queryKey] = { ...pages[queryKey], [pageKey]: { page, loadedAt } };
+      page.items.forEach((product) => {
+        byId[String(product.id)] = { product, loadedAt };
+      });
+      return page;
+    });
+  };
+
+  // Cached values, even stale ones, so views can render before revalidating
+  const peekProducts = () => (list ? list.products : null);
+
+  /**
+   * The cached pages of a query in order, up to the first one not loaded yet
+   */
+  const peekPages = ({ filters, limit = 24 }) => {
+    const cached = pages[getQueryKey(filters, limit)] || {};
+    const result = [];
+    let entry = cached[""];
+    while (entry) {
+      result.push(entry.page);
+      entry = entry.page.nextCursor ? cached[entry.page.nextCursor] : null;
+    }
+    return result;
+  };
+
+  const peekProduct = (id) => (byId[String(id)] ? byId[String(id)].product : null);
+
+  const invalidate = () => {
+    list = null;
+    [byId, pages].forEach((cache) => {
+      Object.keys(cache).forEach((key) => {
+        delete cache[key];
+      });
+    });
+  };
+
+  return {
+    getProducts,
+    getProduct,
+    getPage,
+    peekProducts,
+    peekPages,
+    peekProduct,
+    invalidate,
+  };
+};
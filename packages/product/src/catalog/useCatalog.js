@@ -0,0 +1,154 @@
+/**
+ * React hooks that read from the product catalog, with loading and error state.
+ * Cached data is shown straight away and refreshed in the background.
+ */
+
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
+import { getCatalog } from "./index";
+
+export const PAGE_SIZE = 24;
+
+const useCatalogQuery = (key, load, peek) => {
+  const [data, setData] = useState(() => peek(getCatalog()));
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+
+  useEffect(() => {
+    let mounted = true;
+
+    const loadData = async () => {
+      try {
+        setIsLoading(true);
+        setData(peek(getCatalog()));
+        const result = await load(getCatalog(), { force: reloadCount > 0 });
+        if (mounted) {
+          setData(result);
+          setError(null);
+        }
+      } catch (err) {
+        console.error("Failed to load catalog data:", err);
+        if (mounted) {
+          setError(err.message);
+        }
+      } finally {
+        if (mounted) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    loadData();
+
+    return () => {
+      mounted = false;
+    };
+    // load and peek are new functions every render; key identifies what they read
+  }, [key, reloadCount]);
+
+  const reload = useCallback(() => setReloadCount((count) => count + 1), []);
+
+  return { data, isLoading, error, reload };
+};
+
+export const useProducts = () => {
+  const { data, ...state } = useCatalogQuery(
+    "products",
+    (catalog, options) => catalog.getProducts(options),
+    (catalog) => catalog.peekProducts()
+  );
+  return { products: data || [], ...state };
+};
+
+export const useProduct = (id) => {
+  const { data, ...state } = useCatalogQuery(
+    `product:${id}`,
+    (catalog, options) => catalog.getProduct(id, options),
+    (catalog) => catalog.peekProduct(id)
+  );
+  return { product: data, ...state };
+};
+
+/**
+ * Filtered products loaded a page at a time; call `loadMore` for the next page.
+ * `filters` should keep its identity while unchanged (see useCatalogFilters).
+ * Pages already in the cache are shown at once, so returning to the list
+ * restores everything that was scrolled through.
+ */
+export const useProductPages = (filters, { pageSize = PAGE_SIZE } = {}) => {
+  const [pages, setPages] = useState(() => getCatalog().peekPages({ filters, limit: pageSize }));
+  const [isLoading, setIsLoading] = useState(pages.length === 0);
+  const [error, setError] = useState(null);
+  // Results for a previous query, or after unmounting, are dropped
+  const activeQuery = useRef(null);
+  const isLoadingPage = useRef(false);
+  // Facets of the previous query stay up while the next one loads
+  const lastFacets = useRef(null);
+
+  const loadPage = useCallback(async (cursor, { force = false } = {}) => {
+    const query = activeQuery.current;
+    try {
+      isLoadingPage.current = true;
+      setIsLoading(true);
+      const page = await getCatalog().getPage({ filters, cursor, limit: pageSize, force });
+      if (activeQuery.current === query) {
+        // A refreshed first page keeps the cached pages after it
+        setPages((prev) => (cursor ? [...prev, page] : [page, ...prev.slice(1)]));
+        setError(null);
+      }
+    } catch (err) {
+      console.error("Failed to load products:", err);
+      if (activeQuery.current === query) {
+        setError(err.message);
+      }
+    } finally {
+      if (activeQuery.current === query) {
+        isLoadingPage.current = false;
+        setIsLoading(false);
+      }
+    }
+  }, [filters, pageSize]);
+
+  useEffect(() => {
+    activeQuery.current = {};
+    isLoadingPage.current = false;
+    setPages(getCatalog().peekPages({ filters, limit: pageSize }));
+    setError(null);
+    loadPage(null);
+
+    return () => {
+      activeQuery.current = null;
+    };
+  }, [filters, pageSize, loadPage]);
+
+  const lastPage = pages[pages.length - 1];
+  const hasMore = Boolean(lastPage && lastPage.nextCursor);
+
+  const loadMore = useCallback(() => {
+    // After an error, wait for `retry` instead of retrying on every scroll
+    if (isLoadingPage.current || error || !lastPage || !lastPage.nextCursor) return;
+    loadPage(lastPage.nextCursor);
+  }, [error, lastPage, loadPage]);
+
+  const retry = useCallback(() => {
+    setError(null);
+    loadPage(lastPage ? lastPage.nextCursor : null, { force: true });
+  }, [lastPage, loadPage]);
+
+  const products = useMemo(() => pages.flatMap((page) => page.items), [pages]);
+
+  if (pages.length > 0 && pages[0].facets) {
+    lastFacets.current = pages[0].facets;
+  }
+
+  return {
+    products,
+    total: pages.length > 0 ? pages[0].total : 0,
+    facets: lastFacets.current,
+    hasMore,
+    isLoading,
+    error,
+    loadMore,
+    retry,
+  };
+};
@@ -0,0 +1,37 @@
+/**
+ * React hook for the catalog filters kept in the URL query string, so filtered
+ * results can be shared, bookmarked and restored with back/forward
+ */
+
+import { useEffect, useMemo, useCallback } from "react";
+import { useSearchParams } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import { parseFilters, serializeFilters } from "./query";
+import { setFilters, FILTERS_KEY } from "../store/filtersReducer";
+
+export const useCatalogFilters = () => {
+  const dispatch = useDispatch();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.toString();
+  const filters = useMemo(() => parseFilters(new URLSearchParams(query)), [query]);
+  const isInjected = useSelector((state) => FILTERS_KEY in state);
+
+  // Mirror into the shared store once the slice is there
+  useEffect(() => {
+    if (isInjected) {
+      dispatch(setFilters(filters));
+    }
+  }, [dispatch, filters, isInjected]);
+
+  /**
+   * Merge `changes` into the current filters. Use `replace` for rapid updates
+   * like typing so they don't fill the history.
+   */
+  const updateFilters = useCallback((changes, { replace = false } = {}) => {
+    setSearchParams(serializeFilters({ ...filters, ...changes }), { replace });
+  }, [filters, setSearchParams]);
+
+  const resetFilters = useCallback(() => setSearchParams({}), [setSearchParams]);
+
+  return { filters, updateFilters, resetFilters };
+};
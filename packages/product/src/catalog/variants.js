@@ -0,0 +1,54 @@
+/**
+ * Product Variants
+ * Products sold in several configurations list their options and variants:
+ *
+ *   variantOptions: [{ name: "Color", values: ["Black", "Blue"] }, ...]
+ *   variants: [{ id: "black-128gb", options: { Color: "Black", ... }, price, stock }]
+ *
+ * A variant's price and stock replace the product's. Not every combination of
+ * values has to exist.
+ */
+
+export const hasVariants = (product) => Array.isArray(product.variants) && product.variants.length > 0;
+
+/**
+ * The variant matching every option in `selection`, or null
+ */
+export const findVariant = (product, selection) => {
+  if (!hasVariants(product)) return null;
+  return product.variants.find((variant) => (
+    product.variantOptions.every((option) => variant.options[option.name] === selection[option.name])
+  )) || null;
+};
+
+// The lowest price the product sells for
+export const getStartingPrice = (product) => (
+  hasVariants(product)
+    ? Math.min(...product.variants.map((variant) => variant.price ?? product.price))
+    : product.price
+);
+
+/**
+ * Options of the first variant in stock, or of the first variant when none is
+ */
+export const getDefaultSelection = (product) => {
+  if (!hasVariants(product)) return {};
+  const variant = product.variants.find((item) => item.stock !== 0) || product.variants[0];
+  return { ...variant.options };
+};
+
+/**
+ * What goes in the cart for a product, in the given variant if it has any
+ */
+export const toCartItem = (product, variant = null) => {
+  const { variants, variantOptions, ...item } = product;
+  if (!variant) return item;
+
+  return {
+    ...item,
+    variantId: variant.id,
+    options: { ...variant.options },
+    price: variant.price ?? product.price,
+    stock: variant.stock ?? product.stock,
+  };
+};
@@ -0,0 +1,127 @@
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import { useLocation, useNavigationType } from "react-router-dom";
+import { debounce } from "host/utils";
+import { SORT_OPTIONS, hasActiveFilters } from "../catalog/query";
+import { useTranslation } from "../i18n";
+
+const SEARCH_DELAY = 300;
+
+const toPrice = (value) => (value === "" ? null : Number(value));
+
+/**
+ * Search box, facet filters and sort order for the product list
+ */
+function CatalogFilters({ filters, facets, onChange, onReset }) {
+  const t = useTranslation();
+  const location = useLocation();
+  const navigationType = useNavigationType();
+  const [searchText, setSearchText] = useState(filters.q);
+
+  // The debounced call outlives renders, so it reads the latest onChange from a ref
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  const updateSearch = useMemo(
+    () => debounce((q) => onChangeRef.current({ q }, { replace: true }), SEARCH_DELAY),
+    []
+  );
+
+  useEffect(() => () => updateSearch.cancel(), [updateSearch]);
+
+  // Back/forward restore the search text along with the other filters
+  useEffect(() => {
+    if (navigationType === "POP") {
+      setSearchText(filters.q);
+    }
+  }, [location.key]);
+
+  const handleSearchChange = (e) => {
+    setSearchText(e.target.value);
+    updateSearch(e.target.value);
+  };
+
+  const handleReset = () => {
+    updateSearch.cancel();
+    setSearchText("");
+    onReset();
+  };
+
+  return (
+    <div className="product-filters">
+      <input
+        type="search"
+        className="product-search"
+        aria-label={t("filters.search")}
+        placeholder={t("filters.search")}
+        value={searchText}
+        onChange={handleSearchChange}
+      />
+
+      <label htmlFor="category-filter">{t("list.category")}</label>
+      <select
+        id="category-filter"
+        value={filters.category}
+        onChange={(e) => onChange({ category: e.target.value })}
+      >
+        <option value="all">{t("list.allCategories")}</option>
+        {facets.categories.map(({ name, count }) => (
+          <option key={name} value={name}>
+            {t("filters.categoryOption", { name, count })}
+          </option>
+        ))}
+      </select>
+
+      <label htmlFor="min-price">{t("filters.price")}</label>
+      <input
+        id="min-price"
+        type="number"
+        min="0"
+        className="price-input"
+        aria-label={t("filters.minPrice")}
+        placeholder={String(facets.price.min)}
+        value={filters.minPrice ?? ""}
+        onChange={(e) => onChange({ minPrice: toPrice(e.target.value) }, { replace: true })}
+      />
+      <span>–</span>
+      <input
+        type="number"
+        min="0"
+        className="price-input"
+        aria-label={t("filters.maxPrice")}
+        placeholder={String(facets.price.max)}
+        value={filters.maxPrice ?? ""}
+        onChange={(e) => onChange({ maxPrice: toPrice(e.target.value) }, { replace: true })}
+      />
+
+      <label className="stock-filter">
+        <input
+          type="checkbox"
+          checked={filters.inStock}
+          onChange={(e) => onChange({ inStock: e.target.checked })}
+        />
+        {t("filters.inStock", { count: facets.inStock })}
+      </label>
+
+      <label htmlFor="sort-order">{t("filters.sort")}</label>
+      <select
+        id="sort-order"
+        value={filters.sort}
+        onChange={(e) => onChange({ sort: e.target.value })}
+      >
+        {SORT_OPTIONS.map((option) => (
+          <option key={option} value={option}>
+            {t(`filters.sortOptions.${option}`)}
+          </option>
+        ))}
+      </select>
+
+      {(hasActiveFilters(filters) || searchText) && (
+        <button className="clear-filters-btn" onClick={handleReset}>
+          {t("filters.clear")}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default CatalogFilters;
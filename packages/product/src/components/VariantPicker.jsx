@@ -0,0 +1,47 @@
+import React from "react";
+import { findVariant } from "../catalog/variants";
+
+/**
+ * One row of choices per variant option. Picking a value that doesn't exist
+ * with the other selected options switches to a variant that has it; values
+ * sold out with the current selection are struck through.
+ */
+function VariantPicker({ product, selection, onChange }) {
+  const select = (name, value) => {
+    const next = { ...selection, [name]: value };
+    const variant = findVariant(product, next)
+      || product.variants.find((item) => item.options[name] === value);
+    onChange(variant ? { ...variant.options } : next);
+  };
+
+  return (
+    <div className="variant-picker">
+      {product.variantOptions.map((option) => (
+        <fieldset key={option.name} className="variant-option">
+          <legend>{option.name}</legend>
+          {option.values.map((value) => {
+            const selected = selection[option.name] === value;
+            const variant = findVariant(product, { ...selection, [option.name]: value });
+            const classes = ["variant-value"];
+            if (selected) classes.push("selected");
+            if (variant && variant.stock === 0) classes.push("sold-out");
+
+            return (
+              <button
+                key={value}
+                type="button"
+                className={classes.join(" ")}
+                aria-pressed={selected}
+                onClick={() => select(option.name, value)}
+              >
+                {value}
+              </button>
+            );
+          })}
+        </fieldset>
+      ))}
+    </div>
+  );
+}
+
+export default VariantPicker;
@@ -0,0 +1,105 @@
+import React, { useState, useEffect, useLayoutEffect, useRef } from "react";
+
+/**
+ * Grid that only renders the rows near the viewport, so long lists stay fast.
+ * Rows have a fixed height and the column count follows the container width,
+ * like `repeat(auto-fill, minmax(minColumnWidth, 1fr))`. It scrolls with the
+ * window, since remotes render inside the host page.
+ */
+function VirtualGrid({
+  items,
+  renderItem,
+  getKey = (item) => item.id,
+  rowHeight,
+  minColumnWidth = 250,
+  gap = 24,
+  overscan = 2,
+  endThreshold = 2,
+  onEndReached,
+  className,
+}) {
+  const containerRef = useRef(null);
+  const [range, setRange] = useState({ columns: 1, firstRow: 0, lastRow: 0 });
+  const stride = rowHeight + gap;
+
+  useLayoutEffect(() => {
+    let frame = null;
+
+    const measure = () => {
+      frame = null;
+      if (!containerRef.current) return;
+      const rect = containerRef.current.getBoundingClientRect();
+      const columns = Math.max(1, Math.floor((rect.width + gap) / (minColumnWidth + gap)));
+      const firstRow = Math.max(0, Math.floor(-rect.top / stride) - overscan);
+      const lastRow = Math.max(0, Math.floor((window.innerHeight - rect.top) / stride) + overscan);
+
+      // Only re-render when the rendered rows change, not on every scroll frame
+      setRange((prev) => (
+        prev.columns === columns && prev.firstRow === firstRow && prev.lastRow === lastRow
+          ? prev
+          : { columns, firstRow, lastRow }
+      ));
+    };
+
+    const scheduleMeasure = () => {
+      if (frame === null) {
+        frame = window.requestAnimationFrame(measure);
+      }
+    };
+
+    measure();
+    window.addEventListener("scroll", scheduleMeasure, { passive: true });
+    window.addEventListener("resize", scheduleMeasure);
+
+    return () => {
+      window.removeEventListener("scroll", scheduleMeasure);
+      window.removeEventListener("resize", scheduleMeasure);
+      if (frame !== null) {
+        window.cancelAnimationFrame(frame);
+      }
+    };
+  }, [stride, minColumnWidth, gap, overscan]);
+
+  const { columns } = range;
+  const rowCount = Math.ceil(items.length / columns);
+  const firstRow = Math.min(range.firstRow, Math.max(0, rowCount - 1));
+  const lastRow = Math.min(range.lastRow, rowCount - 1);
+  const firstIndex = firstRow * columns;
+  const visibleItems = items.slice(firstIndex, (lastRow + 1) * columns);
+
+  // Ask for more once the rendered rows get close to the end of the loaded items
+  useEffect(() => {
+    if (onEndReached && rowCount > 0 && lastRow >= rowCount - 1 - endThreshold) {
+      onEndReached();
+    }
+  }, [onEndReached, rowCount, lastRow, endThreshold]);
+
+  return (
+    <div
+      ref={containerRef}
+      style={{ position: "relative", height: rowCount > 0 ? rowCount * stride - gap : 0 }}
+    >
+      <div
+        className={className}
+        style={{
+          position: "absolute",
+          top: firstRow * stride,
+          left: 0,
+          right: 0,
+          display: "grid",
+          gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))`,
+          gridAutoRows: rowHeight,
+          gap,
+        }}
+      >
+        {visibleItems.map((item, index) => (
+          <React.Fragment key={getKey(item)}>
+            {renderItem(item, firstIndex + index)}
+          </React.Fragment>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default VirtualGrid;
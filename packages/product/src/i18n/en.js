@@ -0,0 +1,65 @@
+export default {
+  list: {
+    title: "Product Catalog",
+    loading: "Loading products...",
+    loadingMore: "Loading more products...",
+    subtitle: "Browse our collection of products",
+    cartCount: {
+      zero: "Your cart is empty",
+      one: "{count} item in your cart",
+      other: "{count} items in your cart",
+    },
+    category: "Category",
+    allCategories: "All categories",
+    viewDetails: "View Details",
+    viewFullDetails: "View Full Details",
+    price: "Price: {price}",
+    fromPrice: "From {price}",
+    chooseOptions: "Choose Options",
+  },
+  filters: {
+    search: "Search products",
+    categoryOption: "{name} ({count})",
+    price: "Price",
+    minPrice: "Minimum price",
+    maxPrice: "Maximum price",
+    inStock: "In stock only ({count})",
+    sort: "Sort by",
+    sortOptions: {
+      featured: "Featured",
+      "price-asc": "Price: low to high",
+      "price-desc": "Price: high to low",
+      rating: "Top rated",
+      name: "Name",
+    },
+    clear: "Clear filters",
+    results: {
+      one: "{count} product",
+      other: "{count} products",
+    },
+    noResults: "No products match your filters",
+  },
+  detail: {
+    loading: "Loading product...",
+    notFoundTitle: "Product Not Found",
+    notFoundText: "The product you're looking for doesn't exist.",
+    backToProducts: "Back to Products",
+    back: "← Back",
+    specifications: "Specifications",
+    description: "Description",
+    inStock: "✓ In Stock",
+    outOfStock: "✗ Out of Stock",
+    buyNow: "Buy Now",
+  },
+  stock: {
+    outOfStock: "Out of Stock",
+    limitReached: "Limit reached",
+    left: "Only {count} left",
+    maxPerOrder: "Limit {count} per order",
+    inCart: "You have {count} in your cart, the most you can order",
+  },
+  addToCart: "Add to Cart",
+  addedToCart: "{name} added to cart!",
+  catalogError: "Couldn't load the catalog: {error}",
+  retry: "Retry",
+};
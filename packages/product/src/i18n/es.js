@@ -0,0 +1,68 @@
+export default {
+  list: {
+    title: "Catálogo de productos",
+    loading: "Cargando productos...",
+    loadingMore: "Cargando más productos...",
+    subtitle: "Explora nuestra colección de productos",
+    cartCount: {
+      zero: "Tu carrito está vacío",
+      one: "{count} artículo en tu carrito",
+      other: "{count} artículos en tu carrito",
+    },
+    category: "Categoría",
+    allCategories: "Todas las categorías",
+    viewDetails: "Ver detalles",
+    viewFullDetails: "Ver todos los detalles",
+    price: "Precio: {price}",
+    fromPrice: "Desde {price}",
+    chooseOptions: "Elegir opciones",
+  },
+  filters: {
+    search: "Buscar productos",
+    categoryOption: "{name} ({count})",
+    price: "Precio",
+    minPrice: "Precio mínimo",
+    maxPrice: "Precio máximo",
+    inStock: "Solo en stock ({count})",
+    sort: "Ordenar por",
+    sortOptions: {
+      featured: "Destacados",
+      "price-asc": "Precio: de menor a mayor",
+      "price-desc": "Precio: de mayor a menor",
+      rating: "Mejor valorados",
+      name: "Nombre",
+    },
+    clear: "Borrar filtros",
+    results: {
+      one: "{count} producto",
+      other: "{count} productos",
+    },
+    noResults: "Ningún producto coincide con tus filtros",
+  },
+  detail: {
+    loading: "Cargando producto...",
+    notFoundTitle: "Producto no encontrado",
+    notFoundText: "El producto que buscas no existe.",
+    backToProducts: "Volver a productos",
+    back: "← Volver",
+    specifications: "Especificaciones",
+    description: "Descripción",
+    inStock: "✓ En stock",
+    outOfStock: "✗ Agotado",
+    buyNow: "Comprar ahora",
+  },
+  stock: {
+    outOfStock: "Agotado",
+    limitReached: "Límite alcanzado",
+    left: {
+      one: "Solo queda {count}",
+      other: "Solo quedan {count}",
+    },
+    maxPerOrder: "Máximo {count} por pedido",
+    inCart: "Tienes {count} en el carrito, el máximo que puedes pedir",
+  },
+  addToCart: "Añadir al carrito",
+  addedToCart: "¡{name} añadido al carrito!",
+  catalogError: "No se pudo cargar el catálogo: {error}",
+  retry: "Reintentar",
+};
@@ -1,60 +1,54 @@
 import React, { useState, useEffect } from "react";
 import { useParams, Link, useNavigate } from "react-router-dom";
 import { useDispatch, useSelector } from "react-redux";
-import { addToCart } from "host/store";
+import {
+  addToCart,
+  selectUserPreferences,
+  selectCartItems,
+  selectCartQuantities,
+  getStockLimit,
+  getRemainingQuantity,
+  getCartLineId,
+  getOtherLinesQuantity,
+} from "host/store";
 import { utilsLoader } from "host/utils";
+import { useTranslation } from "../i18n";
+import { useProduct } from "../catalog/useCatalog";
+import { hasVariants, findVariant, getDefaultSelection, toCartItem } from "../catalog/variants";
+import VariantPicker from "../components/VariantPicker";
 import "../App.css";
 
-const products = [
-  { 
-    id: 1, 
-    name: "Laptop", 
-    price: 999, 
-    description: "High-performance laptop with latest processor", 
-    category: "Electronics",
-    specs: "16GB RAM, 512GB SSD, Intel i7, 15.6 inch display",
-    inStock: true,
-    rating: 4.5
-  },
-  { 
-    id: 2, 
-    name: "Phone", 
-    price: 699, 
-    description: "Latest smartphone with advanced camera", 
-    category: "Electronics",
-    specs: "128GB storage, 6.1 inch display, 5G ready, 48MP camera",
-    inStock: true,
-    rating: 4.8
-  },
-  { 
-    id: 3, 
-    name: "Tablet", 
-    price: 499, 
-    description: "Portable tablet device for work and play", 
-    category: "Electronics",
-    specs: "10.2 inch display, 64GB storage, Wi-Fi, 10 hour battery",
-    inStock: true,
-    rating: 4.3
-  },
-  { 
-    id: 4, 
-    name: "Headphones", 
-    price: 199, 
-    description: "Wireless headphones with noise cancellation", 
-    category: "Audio",
-    specs: "Bluetooth 5.0, 30 hour battery, Active noise cancellation",
-    inStock: true,
-    rating: 4.6
-  },
-];
+// Stock at or below this shows how many are left
+const LOW_STOCK = 5;
 
 function ProductDetail() {
   const { id } = useParams();
   const navigate = useNavigate();
   const dispatch = useDispatch();
+  const t = useTranslation();
   const [utils, setUtils] = useState(null);
   const cartItemCount = useSelector((state) => state.cart.itemCount);
-  const product = products.find((p) => p.id === parseInt(id));
+  const cartItems = useSelector(selectCartItems);
+  const cartQuantities = useSelector(selectCartQuantities);
+  const { currency, language } = useSelector(selectUserPreferences);
+  const { product, isLoading, error, reload } = useProduct(id);
+  // Picked variant options, only used for the product they were picked on
+  const [picked, setPicked] = useState({ id: null, options: null });
+
+  const selection = picked.id === id ? picked.options : (product ? getDefaultSelection(product) : {});
+  const variant = product ? findVariant(product, selection) : null;
+  // What "Add to Cart" adds: the product, or the picked variant of it
+  const cartItem = product && (!hasVariants(product) || variant) ? toCartItem(product, variant) : null;
+  const quantityInCart = cartItem ? cartQuantities[getCartLineId(cartItem)] || 0 : 0;
+  // The order limit counts the other variants of the product in the cart too
+  const otherVariantsInCart = cartItem ? getOtherLinesQuantity(cartItems, cartItem) : 0;
+  const inStock = cartItem !== null && getStockLimit(cartItem) > 0;
+  const canAddToCart = cartItem !== null && getRemainingQuantity(cartItem, quantityInCart, otherVariantsInCart) > 0;
+
+  // Open each product at the top; the list restores its own position on the way back
+  useEffect(() => {
+    window.scrollTo(0, 0);
+  }, [id]);
 
   // Load utils safely
   useEffect(() => {
@@ -71,34 +65,57 @@ function ProductDetail() {
   }, []);
 
   const handleAddToCart = () => {
-    if (product) {
-      dispatch(addToCart(product));
+    if (canAddToCart) {
+      dispatch(addToCart(cartItem));
       if (utils) {
         utils.logger?.info(`Product added to cart from detail page: ${product.name}`);
         utils.eventEmitter?.emit('product-added', {
+          productId: product.id,
+          variantId: cartItem.variantId,
           product: product.name,
-          price: product.price,
+          price: cartItem.price,
           source: 'product-detail',
+          timestamp: new Date().toISOString(),
         });
       }
-      alert(`${product.name} added to cart!`);
+      alert(t("addedToCart", { name: product.name }));
     }
   };
 
   const formatCurrency = (amount) => {
     if (utils && utils.formatCurrency) {
-      return utils.formatCurrency(amount);
+      return utils.formatCurrency(amount, currency, language);
     }
     // Fallback formatting
-    return `$${amount.toFixed(2)}`;
+    return new Intl.NumberFormat(language, { style: "currency", currency }).format(amount);
   };
 
+  if (!product && isLoading) {
+    return (
+      <div className="product-app">
+        <p className="catalog-status">{t("detail.loading")}</p>
+      </div>
+    );
+  }
+
+  if (!product && error) {
+    return (
+      <div className="product-app">
+        <div className="catalog-error" role="alert">
+          <span>{t("catalogError", { error })}</span>
+          <button onClick={reload}>{t("retry")}</button>
+        </div>
+        <Link to="/" className="back-btn">{t("detail.backToProducts")}</Link>
+      </div>
+    );
+  }
+
   if (!product) {
     return (
       <div className="product-app">
-        <h1>Product Not Found</h1>
-        <p>The product you're looking for doesn't exist.</p>
-        <Link to="/" className="back-btn">Back to Products</Link>
+        <h1>{t("detail.notFoundTitle")}</h1>
+        <p>{t("detail.notFoundText")}</p>
+        <Link to="/" className="back-btn">{t("detail.backToProducts")}</Link>
       </div>
     );
   }
@@ -106,7 +123,7 @@ function ProductDetail() {
   return (
     <div className="product-app">
       <button onClick={() => navigate(-1)} className="back-btn">
-        ← Back
+        {t("detail.back")}
       </button>
       
       <div className="product-detail">
@@ -123,34 +140,53 @@ function ProductDetail() {
             <span className="rating-text">({product.rating})</span>
           </div>
           <p className="product-category">{product.category}</p>
-          <p className="cart-indicator">Cart Items: {cartItemCount}</p>
+          <p className="cart-indicator">{t("list.cartCount", { count: cartItemCount })}</p>
           
-          <div className="product-price-large">{formatCurrency(product.price)}</div>
+          <div className="product-price-large">{formatCurrency(cartItem ? cartItem.price : product.price)}</div>
+
+          {hasVariants(product) && (
+            <VariantPicker
+              product={product}
+              selection={selection}
+              onChange={(options) => setPicked({ id, options })}
+            />
+          )}
           
           <div className="product-specs">
-            <h3>Specifications</h3>
+            <h3>{t("detail.specifications")}</h3>
             <p>{product.specs}</p>
           </div>
           
           <div className="product-description">
-            <h3>Description</h3>
+            <h3>{t("detail.description")}</h3>
             <p>{product.description}</p>
           </div>
           
           <div className="product-availability">
-            {product.inStock ? (
-              <span className="in-stock">✓ In Stock</span>
+            {inStock ? (
+              <span className="in-stock">{t("detail.inStock")}</span>
             ) : (
-              <span className="out-of-stock">✗ Out of Stock</span>
+              <span className="out-of-stock">{t("detail.outOfStock")}</span>
+            )}
+            {inStock && cartItem.stock <= LOW_STOCK && (
+              <span className="stock-note">{t("stock.left", { count: cartItem.stock })}</span>
+            )}
+            {inStock && cartItem.maxPerOrder && (
+              <span className="stock-note">{t("stock.maxPerOrder", { count: cartItem.maxPerOrder })}</span>
+            )}
+            {inStock && !canAddToCart && (
+              <span className="stock-note" role="status">
+                {t("stock.inCart", { count: quantityInCart + otherVariantsInCart })}
+              </span>
             )}
           </div>
           
           <div className="product-detail-actions">
-            <button className="add-to-cart-btn-large" onClick={handleAddToCart}>
-              Add to Cart
+            <button className="add-to-cart-btn-large" onClick={handleAddToCart} disabled={!canAddToCart}>
+              {canAddToCart ? t("addToCart") : t(inStock ? "stock.limitReached" : "stock.outOfStock")}
             </button>
-            <button className="buy-now-btn" onClick={handleAddToCart}>
-              Buy Now
+            <button className="buy-now-btn" onClick={handleAddToCart} disabled={!canAddToCart}>
+              {t("detail.buyNow")}
             </button>
           </div>
         </div>
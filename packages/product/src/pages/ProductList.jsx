@@ -1,22 +1,39 @@
 import React, { useState, useEffect } from "react";
 import { Link } from "react-router-dom";
 import { useDispatch, useSelector } from "react-redux";
-import { addToCart } from "host/store";
+import {
+  addToCart,
+  selectUserPreferences,
+  selectCartQuantities,
+  getMaxQuantity,
+  getRemainingQuantity,
+} from "host/store";
 import { utilsLoader } from "host/utils";
+import { useTranslation } from "../i18n";
+import { useProductPages } from "../catalog/useCatalog";
+import { useCatalogFilters } from "../catalog/useCatalogFilters";
+import { hasVariants, getStartingPrice } from "../catalog/variants";
+import CatalogFilters from "../components/CatalogFilters";
+import VirtualGrid from "../components/VirtualGrid";
+import { useScrollRestoration } from "../utils/useScrollRestoration";
 import "../App.css";
 
-const products = [
-  { id: 1, name: "Laptop", price: 999, description: "High-performance laptop", category: "Electronics" },
-  { id: 2, name: "Phone", price: 699, description: "Latest smartphone", category: "Electronics" },
-  { id: 3, name: "Tablet", price: 499, description: "Portable tablet device", category: "Electronics" },
-  { id: 4, name: "Headphones", price: 199, description: "Wireless headphones", category: "Audio" },
-];
+const CARD_HEIGHT = 280;
+
+const EMPTY_FACETS = { categories: [], price: { min: 0, max: 0 }, inStock: 0 };
 
 function ProductList() {
   const [selectedProduct, setSelectedProduct] = useState(null);
   const [utils, setUtils] = useState(null);
   const dispatch = useDispatch();
+  const t = useTranslation();
   const cartItemCount = useSelector((state) => state.cart.itemCount);
+  const cartQuantities = useSelector(selectCartQuantities);
+  const { currency, language } = useSelector(selectUserPreferences);
+  const { filters, updateFilters, resetFilters } = useCatalogFilters();
+  const { products, total, facets, hasMore, isLoading, error, loadMore, retry } = useProductPages(filters);
+
+  useScrollRestoration(products.length > 0);
 
   // Load utils safely
   useEffect(() => {
@@ -32,65 +49,123 @@ function ProductList() {
     loadUtils();
   }, []);
 
+  const canAddToCart = (product) => getRemainingQuantity(product, cartQuantities[product.id]) > 0;
+
+  const getAddToCartLabel = (product) => {
+    if (canAddToCart(product)) return t("addToCart");
+    return getMaxQuantity(product) === 0 ? t("stock.outOfStock") : t("stock.limitReached");
+  };
+
   const handleAddToCart = (product) => {
+    // The cart would reject it anyway; don't report it as added
+    if (!canAddToCart(product)) return;
+
     dispatch(addToCart(product));
     
     // Use shared utilities if available
     if (utils) {
       utils.logger?.info(`Product added to cart: ${product.name}`);
       utils.eventEmitter?.emit('product-added', {
+        productId: product.id,
         product: product.name,
         price: product.price,
+        source: 'product-list',
         timestamp: new Date().toISOString(),
       });
     }
     
-    alert(`${product.name} added to cart!`);
+    alert(t("addedToCart", { name: product.name }));
   };
 
   const formatCurrency = (amount) => {
     if (utils && utils.formatCurrency) {
-      return utils.formatCurrency(amount);
+      return utils.formatCurrency(amount, currency, language);
     }
     // Fallback formatting
-    return `$${amount.toFixed(2)}`;
+    return new Intl.NumberFormat(language, { style: "currency", currency }).format(amount);
   };
 
   return (
     <div className="product-app">
-      <h1>Product Catalog</h1>
+      <h1>{t("list.title")}</h1>
       <p className="subtitle">
-        Browse our collection of products | Cart Items: {cartItemCount}
+        {t("list.subtitle")} | {t("list.cartCount", { count: cartItemCount })}
       </p>
       
-      <div className="products-grid">
-        {products.map((product) => (
+      <CatalogFilters
+        filters={filters}
+        facets={facets || EMPTY_FACETS}
+        onChange={updateFilters}
+        onReset={resetFilters}
+      />
+
+      {isLoading && products.length === 0 && (
+        <p className="catalog-status">{t("list.loading")}</p>
+      )}
+      {error && (
+        <div className="catalog-error" role="alert">
+          <span>{t("catalogError", { error })}</span>
+          <button onClick={retry}>{t("retry")}</button>
+        </div>
+      )}
+
+      {(products.length > 0 || (!isLoading && !error)) && (
+        <p className="results-count" role="status">
+          {total > 0 ? t("filters.results", { count: total }) : t("filters.noResults")}
+        </p>
+      )}
+
+      <VirtualGrid
+        className="products-grid"
+        items={products}
+        rowHeight={CARD_HEIGHT}
+        onEndReached={hasMore ? loadMore : undefined}
+        renderItem={(product) => (
           <div
-            key={product.id}
             className="product-card"
             onClick={() => setSelectedProduct(product)}
           >
             <h3>{product.name}</h3>
             {/* Using shared formatCurrency utility */}
-            <p className="price">{formatCurrency(product.price)}</p>
+            <p className="price">
+              {hasVariants(product)
+                ? t("list.fromPrice", { price: formatCurrency(getStartingPrice(product)) })
+                : formatCurrency(product.price)}
+            </p>
             <p className="description">{product.description}</p>
             <div className="product-actions">
               <Link to={`/detail/${product.id}`} className="view-detail-btn">
-                View Details
+                {t("list.viewDetails")}
               </Link>
-              <button 
-                className="add-to-cart-btn"
-                onClick={(e) => {
-                  e.stopPropagation();
-                  handleAddToCart(product);
-                }}
-              >
-                Add to Cart
-              </button>
+              {/* Variants are picked on the detail page */}
+              {hasVariants(product) ? (
+                <Link
+                  to={`/detail/${product.id}`}
+                  className="add-to-cart-btn"
+                  onClick={(e) => e.stopPropagation()}
+                >
+                  {t("list.chooseOptions")}
+                </Link>
+              ) : (
+                <button 
+                  className="add-to-cart-btn"
+                  disabled={!canAddToCart(product)}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleAddToCart(product);
+                  }}
+                >
+                  {getAddToCartLabel(product)}
+                </button>
+              )}
             </div>
           </div>
-        ))}
-      </div>
+        )}
+      />
+
+      {isLoading && products.length > 0 && (
+        <p className="catalog-status">{t("list.loadingMore")}</p>
+      )}
 
       {selectedProduct && (
         <div className="modal">
@@ -99,14 +174,14 @@ function ProductList() {
               &times;
             </span>
             <h2>{selectedProduct.name}</h2>
-            <p>Price: {formatCurrency(selectedProduct.price)}</p>
+            <p>{t("list.price", { price: formatCurrency(selectedProduct.price) })}</p>
             <p>{selectedProduct.description}</p>
             <Link 
               to={`/detail/${selectedProduct.id}`}
               className="view-detail-btn"
               onClick={() => setSelectedProduct(null)}
             >
-              View Full Details
+              {t("list.viewFullDetails")}
             </Link>
           </div>
         </div>
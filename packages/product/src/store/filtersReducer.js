@@ -0,0 +1,37 @@
+/**
+ * Product Filters Slice
+ * Owned by the product micro frontend and injected into the shared store on mount.
+ * The URL query string is the source of truth; this slice mirrors it so other
+ * micro frontends can read the active filters.
+ */
+
+import { DEFAULT_FILTERS } from '../catalog/query';
+
+export const FILTERS_KEY = 'productFilters';
+
+export const SET_FILTERS = 'product/SET_FILTERS';
+
+export const setFilters = (filters) => ({
+  type: SET_FILTERS,
+  payload: filters,
+});
+
+const initialState = DEFAULT_FILTERS;
+
+const filtersReducer = (state = initialState, action) => {
+  switch (action.type) {
+    case SET_FILTERS:
+      return {
+        ...state,
+        ...action.payload,
+      };
+
+    default:
+      return state;
+  }
+};
+
+// The slice is missing until the reducer has been injected
+export const selectFilters = (state) => state[FILTERS_KEY] || initialState;
+
+export default filtersReducer;
@@ -37,8 +37,17 @@ export const useSafeStore = () => {
 
     loadStore();
 
+    // Pick up the host store when it replaces the fallback store
+    const unsubscribe = storeLoader.onStoreChange((hostStore) => {
+      if (mounted) {
+        setStore(hostStore);
+        setError(null);
+      }
+    });
+
     return () => {
       mounted = false;
+      unsubscribe();
     };
   }, []);
 
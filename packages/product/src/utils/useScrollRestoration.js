@@ -0,0 +1,32 @@
+/**
+ * Keep a view's window scroll position per history entry, e.g. the product
+ * list when opening a product and going back
+ */
+
+import { useLayoutEffect, useRef } from "react";
+import { useLocation } from "react-router-dom";
+
+// Kept in memory: positions only need to outlive in-app navigation
+const positions = new Map();
+
+/**
+ * Restores the saved position once `ready` is true, i.e. once the content it
+ * scrolls through has been rendered again
+ */
+export const useScrollRestoration = (ready) => {
+  const { key } = useLocation();
+  const restoredKey = useRef(null);
+
+  useLayoutEffect(() => {
+    if (!ready || restoredKey.current === key) return;
+    restoredKey.current = key;
+    if (positions.has(key)) {
+      window.scrollTo(0, positions.get(key));
+    }
+  }, [ready, key]);
+
+  // Runs before the view leaves the page, while its scroll position still applies
+  useLayoutEffect(() => () => {
+    positions.set(key, window.scrollY);
+  }, [key]);
+};
@@ -29,6 +29,7 @@ module.exports = merge(common, {
       },
       exposes: {
         "./ProductApp": "./src/App",
+        "./catalog": "./src/catalog/index.js",
       },
       shared: {
         react: {
@@ -0,0 +1,135 @@
+/**
+ * Action Schemas
+ * Payload schemas for the shared action types, checked in development by the
+ * validation middleware. Same JSON-schema-like format as the event contracts.
+ */
+
+import {
+  ADD_TO_CART,
+  REMOVE_FROM_CART,
+  UPDATE_QUANTITY,
+  SET_CART_ITEMS,
+  RESTORE_CART_LINE,
+} from './actions/cartActions';
+import { SET_USER, UPDATE_USER_PREFERENCES } from './actions/userActions';
+import { LOGIN_SUCCESS } from './actions/authActions';
+import { getMaxQuantity } from './inventory';
+import { getCartLineId, getOtherLinesQuantity } from './cartLines';
+
+const productId = { type: ['number', 'string'] };
+const price = { type: 'number', minimum: 0 };
+const stock = { type: 'integer', minimum: 0 };
+const maxPerOrder = { type: 'integer', minimum: 1 };
+const variantId = { type: 'string' };
+const options = { type: 'object' };
+
+const cartItem = {
+  type: 'object',
+  required: ['id', 'name', 'price', 'quantity'],
+  properties: {
+    id: productId,
+    name: { type: 'string' },
+    price,
+    quantity: { type: 'integer', minimum: 1 },
+    stock,
+    maxPerOrder,
+    variantId,
+    options,
+  },
+};
+
+export const actionSchemas = {
+  [ADD_TO_CART]: {
+    type: 'object',
+    required: ['id', 'name', 'price'],
+    properties: {
+      id: productId,
+      name: { type: 'string' },
+      price,
+      stock,
+      maxPerOrder,
+      variantId,
+      options,
+    },
+  },
+  [REMOVE_FROM_CART]: productId,
+  [UPDATE_QUANTITY]: {
+    type: 'object',
+    required: ['productId', 'quantity'],
+    properties: {
+      productId,
+      quantity: { type: 'integer', minimum: 0 },
+    },
+  },
+  [SET_CART_ITEMS]: {
+    type: 'array',
+    items: cartItem,
+  },
+  [RESTORE_CART_LINE]: {
+    type: 'object',
+    required: ['item', 'index'],
+    properties: {
+      item: cartItem,
+      index: { type: 'integer', minimum: 0 },
+    },
+  },
+  [SET_USER]: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      email: { type: 'string' },
+    },
+  },
+  [UPDATE_USER_PREFERENCES]: {
+    type: 'object',
+    properties: {
+      theme: { type: 'string', enum: ['light', 'dark'] },
+      currency: { type: 'string' },
+      language: { type: 'string' },
+    },
+  },
+  [LOGIN_SUCCESS]: {
+    type: 'object',
+    required: ['token', 'expiresAt', 'user'],
+    properties: {
+      token: { type: 'string' },
+      expiresAt: { type: 'number' },
+      user: { type: 'object' },
+    },
+  },
+};
+
+/**
+ * Checks run against the whole state after every action.
+ * Each returns an error message, or null when the state is consistent.
+ */
+export const stateInvariants = [
+  (state) => {
+    const { total, itemCount } = state.cart;
+    if (!Number.isFinite(total) || total < 0) return `cart.total should be a non-negative number, got ${total}`;
+    if (!Number.isInteger(itemCount) || itemCount < 0) return `cart.itemCount should be a non-negative integer, got ${itemCount}`;
+    return null;
+  },
+  (state) => {
+    // One line per product and variant
+    const ids = state.cart.items.map(getCartLineId);
+    const duplicates = ids.filter((id, index) => ids.indexOf(id) !== index);
+    return duplicates.length > 0 ? `cart.items has duplicate ids: ${[...new Set(duplicates)].join(', ')}` : null;
+  },
+  (state) => {
+    const count = state.cart.items.reduce((sum, item) => sum + item.quantity, 0);
+    return count === state.cart.itemCount ? null : `cart.itemCount (${state.cart.itemCount}) doesn't match the items (${count})`;
+  },
+  (state) => {
+    const { items } = state.cart;
+    const over = items
+      .map(item => ({ item, max: getMaxQuantity(item, getOtherLinesQuantity(items, item)) }))
+      .filter(({ item, max }) => item.quantity > max);
+    return over.length > 0
+      ? `cart.items exceed their stock or order limit: ${over.map(({ item, max }) => `${getCartLineId(item)} (${item.quantity}/${max})`).join(', ')}`
+      : null;
+  },
+  (state) => (state.user.isAuthenticated && !state.user.user
+    ? 'user.isAuthenticated is true but user.user is empty'
+    : null),
+];
@@ -0,0 +1,98 @@
+/**
+ * Redux Actions for Authentication
+ * Login and logout go through the configured auth adapter (see auth/index.js)
+ */
+
+import { getAuthConfig } from '../auth';
+import { setUser, logout } from './userActions';
+
+export const LOGIN_REQUEST = 'LOGIN_REQUEST';
+export const LOGIN_SUCCESS = 'LOGIN_SUCCESS';
+export const LOGIN_FAILURE = 'LOGIN_FAILURE';
+export const SESSION_EXPIRED = 'SESSION_EXPIRED';
+
+export const loginRequest = () => ({
+  type: LOGIN_REQUEST,
+});
+
+// session: { token, expiresAt, user }
+export const loginSuccess = (session) => ({
+  type: LOGIN_SUCCESS,
+  payload: session,
+});
+
+export const loginFailure = (error) => ({
+  type: LOGIN_FAILURE,
+  payload: error,
+});
+
+export const sessionExpired = () => ({
+  type: SESSION_EXPIRED,
+});
+
+const startSession = (dispatch, session) => {
+  dispatch(loginSuccess(session));
+  dispatch(setUser(session.user));
+};
+
+/**
+ * Sign in with the auth adapter and store the session token
+ */
+export const login = (credentials) => async (dispatch) => {
+  const { adapter, tokenStorage } = getAuthConfig();
+  dispatch(loginRequest());
+
+  try {
+    const { user, token, expiresIn } = await adapter.login(credentials);
+    const session = { token, user, expiresAt: Date.now() + expiresIn * 1000 };
+    tokenStorage.save(session);
+    startSession(dispatch, session);
+    return session;
+  } catch (error) {
+    dispatch(loginFailure(error.message));
+    throw error;
+  }
+};
+
+/**
+ * Sign out with the auth adapter and drop the stored token
+ */
+export const logoutUser = () => async (dispatch, getState) => {
+  const { adapter, tokenStorage } = getAuthConfig();
+  const { token } = getState().auth;
+
+  try {
+    if (token) await adapter.logout(token);
+  } catch (error) {
+    // The local session ends either way
+    console.warn('Auth adapter logout failed:', error);
+  }
+
+  tokenStorage.clear();
+  dispatch(logout());
+};
+
+/**
+ * Pick up a stored session from an earlier visit, if it hasn't expired
+ */
+export const restoreSession = () => (dispatch) => {
+  const { tokenStorage } = getAuthConfig();
+  const session = tokenStorage.load();
+
+  if (!session) return null;
+  if (session.expiresAt <= Date.now()) {
+    tokenStorage.clear();
+    return null;
+  }
+
+  startSession(dispatch, session);
+  return session;
+};
+
+/**
+ * End a session whose token has expired
+ */
+export const expireSession = () => (dispatch) => {
+  getAuthConfig().tokenStorage.clear();
+  dispatch(sessionExpired());
+};
@@ -0,0 +1,92 @@
+/**
+ * Redux Actions for Cart Management
+ * These actions are used across micro frontends to manage cart state
+ */
+
+// Action Types
+export const ADD_TO_CART = 'ADD_TO_CART';
+export const REMOVE_FROM_CART = 'REMOVE_FROM_CART';
+export const UPDATE_QUANTITY = 'UPDATE_QUANTITY';
+export const CLEAR_CART = 'CLEAR_CART';
+export const SET_CART_ITEMS = 'SET_CART_ITEMS';
+export const RESTORE_CART_LINE = 'RESTORE_CART_LINE';
+export const UNDO_CART = 'UNDO_CART';
+export const REDO_CART = 'REDO_CART';
+export const COMMIT_CART_UPDATE = 'COMMIT_CART_UPDATE';
+export const ROLLBACK_CART_UPDATE = 'ROLLBACK_CART_UPDATE';
+
+// Action Creators
+export const addToCart = (product) => ({
+  type: ADD_TO_CART,
+  payload: product,
+});
+
+// Lines are identified by getCartLineId(item), which is the product id for
+// products without variants
+export const removeFromCart = (lineId) => ({
+  type: REMOVE_FROM_CART,
+  payload: lineId,
+});
+
+export const updateQuantity = (lineId, quantity) => ({
+  type: UPDATE_QUANTITY,
+  payload: { productId: lineId, quantity },
+});
+
+export const clearCart = () => ({
+  type: CLEAR_CART,
+});
+
+export const setCartItems = (items) => ({
+  type: SET_CART_ITEMS,
+  payload: items,
+});
+
+// Put a removed line back at `index`, e.g. to undo its removal
+export const restoreCartLine = (item, index) => ({
+  type: RESTORE_CART_LINE,
+  payload: { item, index },
+});
+
+export const undoCart = () => ({
+  type: UNDO_CART,
+});
+
+export const redoCart = () => ({
+  type: REDO_CART,
+});
+
+export const commitCartUpdate = (optimisticId) => ({
+  type: COMMIT_CART_UPDATE,
+  payload: optimisticId,
+});
+
+export const rollbackCartUpdate = (optimisticId) => ({
+  type: ROLLBACK_CART_UPDATE,
+  payload: optimisticId,
+});
+
+let optimisticSequence = 0;
+
+/**
+ * Apply a cart action right away, then confirm it with `sync(extra)` (e.g. a
+ * server request). The action is rolled back if sync throws or resolves with
+ * `{ success: false }`; anything dispatched in the meantime is kept.
+ */
+export const optimisticCartUpdate = (action, sync) => async (dispatch, getState, extra) => {
+  optimisticSequence += 1;
+  const optimisticId = `cart-${Date.now()}-${optimisticSequence}`;
+  dispatch({ ...action, meta: { ...action.meta, optimisticId } });
+
+  try {
+    const result = await sync(extra);
+    if (result && result.success === false) {
+      throw new Error(result.error || 'Cart sync failed');
+    }
+    dispatch(commitCartUpdate(optimisticId));
+    return result;
+  } catch (error) {
+    dispatch(rollbackCartUpdate(optimisticId));
+    throw error;
+  }
+};
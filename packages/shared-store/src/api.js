@@ -0,0 +1,28 @@
+/**
+ * API Calls
+ * The fetch wrapper async actions get as `apiCall`, from the host store and
+ * from the fallback store alike. Resolves with { success, data } or
+ * { success: false, error } instead of throwing.
+ */
+
+export const apiCall = async (url, options = {}) => {
+  try {
+    const defaultOptions = {
+      headers: {
+        'Content-Type': 'application/json',
+      },
+    };
+
+    const response = await fetch(url, { ...defaultOptions, ...options });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return { success: true, data };
+  } catch (error) {
+    console.error('API call error:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -0,0 +1,61 @@
+/**
+ * Auth Configuration
+ * The adapter and token storage used by the login/logout thunks.
+ * The host configures them once; the fallback store uses the same ones.
+ */
+
+import { createMockAuthAdapter } from './mockAuthAdapter';
+import { createTokenStorage } from './tokenStorage';
+
+let config = {
+  adapter: createMockAuthAdapter(),
+  tokenStorage: createTokenStorage(),
+};
+
+export const configureAuth = ({ adapter = config.adapter, tokenStorage = config.tokenStorage } = {}) => {
+  config = { adapter, tokenStorage };
+  return config;
+};
+
+export const getAuthConfig = () => config;
+
+/**
+ * Dispatch `onExpire()` when the current session's token runs out.
+ * Rescheduled whenever the session changes. Returns an unsubscribe function.
+ */
+export const watchSessionExpiry = (store, onExpire) => {
+  let expiresAt = null;
+  let timer = null;
+
+  const schedule = () => {
+    const { auth } = store.getState();
+    const next = auth.status === 'authenticated' ? auth.expiresAt : null;
+    if (next === expiresAt) return;
+
+    expiresAt = next;
+    clearTimeout(timer);
+    timer = null;
+    if (expiresAt) {
+      // setTimeout can't wait longer than ~24.8 days; check again after that
+      const delay = Math.min(Math.max(0, expiresAt - Date.now()), 2147483647);
+      timer = setTimeout(() => {
+        if (Date.now() >= expiresAt) {
+          store.dispatch(onExpire());
+        } else {
+          expiresAt = null;
+          schedule();
+        }
+      }, delay);
+    }
+  };
+
+  schedule();
+  const unsubscribe = store.subscribe(schedule);
+  return () => {
+    unsubscribe();
+    clearTimeout(timer);
+  };
+};
+
+export { createMockAuthAdapter, DEMO_USERS } from './mockAuthAdapter';
+export { createTokenStorage, DEFAULT_SESSION_KEY } from './tokenStorage';
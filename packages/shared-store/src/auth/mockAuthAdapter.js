@@ -0,0 +1,33 @@
+/**
+ * Mock Auth Adapter
+ * Local stand-in for an auth API. Any adapter with the same
+ * `login(credentials)` / `logout(token)` shape can replace it.
+ *
+ * login resolves with { user, token, expiresIn } (seconds) or rejects.
+ */
+
+export const DEMO_USERS = [
+  { email: 'demo@example.com', password: 'demo123', name: 'Demo User' },
+];
+
+export const createMockAuthAdapter = ({ users = DEMO_USERS, expiresIn = 30 * 60, delay = 300 } = {}) => {
+  const wait = () => new Promise(resolve => setTimeout(resolve, delay));
+
+  return {
+    login: async ({ email, password } = {}) => {
+      await wait();
+      const account = users.find(entry => entry.email === email && entry.password === password);
+      if (!account) {
+        throw new Error('Invalid email or password');
+      }
+      return {
+        user: { name: account.name, email: account.email },
+        token: `mock-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+        expiresIn,
+      };
+    },
+    logout: async () => {
+      await wait();
+    },
+  };
+};
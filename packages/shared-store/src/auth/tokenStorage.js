@@ -0,0 +1,43 @@
+/**
+ * Token Storage
+ * Keeps the session ({ token, expiresAt, user }) in localStorage between visits
+ */
+
+export const DEFAULT_SESSION_KEY = 'microreact:session';
+
+export const createTokenStorage = ({ key = DEFAULT_SESSION_KEY, storage } = {}) => {
+  const getStorage = () => {
+    try {
+      return storage || (typeof window !== 'undefined' ? window.localStorage : null);
+    } catch (error) {
+      return null;
+    }
+  };
+
+  return {
+    load: () => {
+      try {
+        const item = getStorage().getItem(key);
+        return item ? JSON.parse(item) : null;
+      } catch (error) {
+        return null;
+      }
+    },
+    save: (session) => {
+      try {
+        getStorage().setItem(key, JSON.stringify(session));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+    clear: () => {
+      try {
+        getStorage().removeItem(key);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+  };
+};
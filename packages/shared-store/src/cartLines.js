@@ -0,0 +1,27 @@
+/**
+ * Cart Lines
+ * A product can be in the cart once per variant (size, color, configuration).
+ * Cart items for a variant carry `variantId` and the chosen `options`, e.g.
+ * { Color: 'Black', Storage: '128GB' }.
+ */
+
+/**
+ * The key of the cart line an item belongs to: product id and variant id, or
+ * just the product id for products without variants
+ */
+export const getCartLineId = (item) => (
+  item.variantId === undefined || item.variantId === null ? item.id : `${item.id}:${item.variantId}`
+);
+
+// Units of the item's product on lines other than the item's own
+export const getOtherLinesQuantity = (items, item) => {
+  const lineId = getCartLineId(item);
+  return items
+    .filter(line => line.id === item.id && getCartLineId(line) !== lineId)
+    .reduce((sum, line) => sum + line.quantity, 0);
+};
+
+// The chosen options as shown next to a line, e.g. "Color: Black, Storage: 128GB"
+export const formatCartLineOptions = (item) => Object.entries(item.options || {})
+  .map(([name, value]) => `${name}: ${value}`)
+  .join(', ');
@@ -0,0 +1,289 @@
+/**
+ * Cross-Tab Sync
+ * Forwards cart and user actions to the same store in other tabs
+ *
+ * Messages go over a BroadcastChannel, or over `storage` events where that isn't
+ * available. The oldest open tab is elected leader: it sends its synced state to
+ * tabs that open later and settles conflicts. Each tab keeps a Lamport clock; an
+ * incoming action that didn't see our latest change was concurrent with it, so the
+ * tabs may have applied them in a different order and the leader's state wins.
+ */
+
+import {
+  ADD_TO_CART,
+  REMOVE_FROM_CART,
+  UPDATE_QUANTITY,
+  CLEAR_CART,
+  SET_CART_ITEMS,
+  RESTORE_CART_LINE,
+  UNDO_CART,
+  REDO_CART,
+  ROLLBACK_CART_UPDATE,
+  setCartItems,
+} from './actions/cartActions';
+import {
+  SET_USER,
+  UPDATE_USER_PREFERENCES,
+  LOGOUT,
+  setUser,
+  updateUserPreferences,
+  logout,
+} from './actions/userActions';
+import { LOGIN_SUCCESS, SESSION_EXPIRED, loginSuccess } from './actions/authActions';
+
+export const DEFAULT_SYNC_CHANNEL = 'microreact:store-sync';
+
+export const DEFAULT_SYNCED_ACTIONS = [
+  ADD_TO_CART,
+  REMOVE_FROM_CART,
+  UPDATE_QUANTITY,
+  CLEAR_CART,
+  SET_CART_ITEMS,
+  RESTORE_CART_LINE,
+  SET_USER,
+  UPDATE_USER_PREFERENCES,
+  LOGOUT,
+  LOGIN_SUCCESS,
+  SESSION_EXPIRED,
+];
+
+// Their effect depends on this tab's own history, so the resulting items are sent instead
+const HISTORY_ACTIONS = [UNDO_CART, REDO_CART, ROLLBACK_CART_UPDATE];
+
+const createTabId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Message transport between tabs: BroadcastChannel, falling back to storage events
+ */
+export const createTabTransport = (channelName = DEFAULT_SYNC_CHANNEL) => {
+  if (typeof window === 'undefined') return null;
+
+  if (typeof window.BroadcastChannel === 'function') {
+    const channel = new window.BroadcastChannel(channelName);
+    return {
+      postMessage: message => channel.postMessage(message),
+      subscribe: (listener) => {
+        const handler = event => listener(event.data);
+        channel.addEventListener('message', handler);
+        return () => channel.removeEventListener('message', handler);
+      },
+      close: () => channel.close(),
+    };
+  }
+
+  try {
+    if (!window.localStorage) return null;
+  } catch (error) {
+    return null;
+  }
+
+  // The storage event only fires in other tabs, and only when the value changes
+  return {
+    postMessage: (message) => {
+      window.localStorage.setItem(channelName, JSON.stringify({ message, nonce: Math.random() }));
+      window.localStorage.removeItem(channelName);
+    },
+    subscribe: (listener) => {
+      const handler = (event) => {
+        if (event.key !== channelName || !event.newValue) return;
+        try {
+          listener(JSON.parse(event.newValue).message);
+        } catch (error) {
+          console.warn('Ignoring malformed cross-tab message:', error);
+        }
+      };
+      window.addEventListener('storage', handler);
+      return () => window.removeEventListener('storage', handler);
+    },
+    close: () => {},
+  };
+};
+
+/**
+ * Create a cross-tab sync for a Redux store. Add `middleware` to the store.
+ */
+export const createCrossTabSync = ({
+  channelName = DEFAULT_SYNC_CHANNEL,
+  actions = DEFAULT_SYNCED_ACTIONS,
+  transport = createTabTransport(channelName),
+  heartbeatInterval = 1000,
+  tabTimeout = 3000,
+} = {}) => {
+  const tabId = createTabId();
+  const tabs = {};
+  let clock = 0;
+  let store = null;
+  let started = false;
+  let unsubscribe = null;
+  let heartbeatTimer = null;
+
+  const post = message => transport.postMessage({ ...message, tabId, clock });
+
+  const getLiveTabs = () => {
+    const now = Date.now();
+    return Object.keys(tabs).filter(id => now - tabs[id] <= tabTimeout);
+  };
+
+  const getLeaderId = () => [tabId, ...getLiveTabs()].sort()[0];
+
+  const isLeader = () => getLeaderId() === tabId;
+
+  const getSnapshot = () => {
+    const { cart, user, auth } = store.getState();
+    return {
+      cart: { items: cart.items },
+      user: { user: user.user, preferences: user.preferences },
+      auth: { status: auth.status, token: auth.token, expiresAt: auth.expiresAt },
+    };
+  };
+
+  // Actions received from other tabs are marked so they aren't sent back out.
+  // Optimistic updates are settled by the tab that started them.
+  const dispatchRemote = (action) => {
+    const { optimisticId, ...meta } = action.meta || {};
+    return store.dispatch({ ...action, meta: { ...meta, crossTab: true } });
+  };
+
+  const applySnapshot = (snapshot) => {
+    dispatchRemote(setCartItems(snapshot.cart.items));
+    if (snapshot.auth && snapshot.auth.status === 'authenticated') {
+      dispatchRemote(loginSuccess({ ...snapshot.auth, user: snapshot.user.user }));
+    }
+    if (snapshot.user.user) {
+      dispatchRemote(setUser(snapshot.user.user));
+    } else if (store.getState().user.isAuthenticated) {
+      dispatchRemote(logout());
+    }
+    dispatchRemote(updateUserPreferences(snapshot.user.preferences));
+  };
+
+  const sendSnapshot = (to = null) => post({ type: 'snapshot', to, state: getSnapshot() });
+
+  const handleMessage = (message) => {
+    if (!message || message.tabId === tabId) return;
+    tabs[message.tabId] = Date.now();
+
+    switch (message.type) {
+      case 'hello':
+        post({ type: 'heartbeat' });
+        if (isLeader()) sendSnapshot(message.tabId);
+        break;
+
+      case 'bye':
+        delete tabs[message.tabId];
+        break;
+
+      case 'action': {
+        const concurrent = message.clock <= clock;
+        clock = Math.max(clock, message.clock);
+        dispatchRemote(message.action);
+        if (concurrent) {
+          // Both tabs changed state without seeing each other's change
+          if (isLeader()) {
+            sendSnapshot();
+          } else {
+            post({ type: 'snapshot-request' });
+          }
+        }
+        break;
+      }
+
+      case 'snapshot-request':
+        if (isLeader()) sendSnapshot(message.tabId);
+        break;
+
+      case 'snapshot':
+        if (message.to && message.to !== tabId) break;
+        // Only the leader's state is authoritative
+        if (message.tabId === getLeaderId()) {
+          clock = Math.max(clock, message.clock);
+          applySnapshot(message.state);
+        }
+        break;
+
+      default:
+        break;
+    }
+  };
+
+  const connect = () => {
+    unsubscribe = transport.subscribe(handleMessage);
+    heartbeatTimer = setInterval(() => post({ type: 'heartbeat' }), heartbeatInterval);
+    post({ type: 'hello' });
+  };
+
+  const disconnect = () => {
+    post({ type: 'bye' });
+    unsubscribe();
+    unsubscribe = null;
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  };
+
+  // A page going into the back/forward cache may be shown again: leave the
+  // other tabs meanwhile, but keep the channel open to rejoin them on pageshow
+  const handlePageHide = (event) => {
+    if (!event.persisted) {
+      stop();
+    } else if (unsubscribe) {
+      disconnect();
+    }
+  };
+
+  const handlePageShow = (event) => {
+    if (event.persisted && started && !unsubscribe) connect();
+  };
+
+  const start = (storeApi) => {
+    if (!transport || started) return;
+    started = true;
+    store = storeApi;
+    connect();
+    if (typeof window !== 'undefined') {
+      window.addEventListener('pagehide', handlePageHide);
+      window.addEventListener('pageshow', handlePageShow);
+    }
+  };
+
+  const stop = () => {
+    if (!started) return;
+    started = false;
+    if (unsubscribe) disconnect();
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('pagehide', handlePageHide);
+      window.removeEventListener('pageshow', handlePageShow);
+    }
+    transport.close();
+  };
+
+  /**
+   * Redux middleware: starts listening once the store exists and sends synced
+   * actions dispatched in this tab to the others
+   */
+  const middleware = (storeApi) => {
+    // Incoming messages are async, so this never dispatches during store setup
+    start(storeApi);
+
+    return next => (action) => {
+      const result = next(action);
+      if (!unsubscribe || (action.meta && action.meta.crossTab)) return result;
+
+      if (actions.includes(action.type)) {
+        clock += 1;
+        post({ type: 'action', action });
+      } else if (HISTORY_ACTIONS.includes(action.type)) {
+        clock += 1;
+        post({ type: 'action', action: setCartItems(storeApi.getState().cart.items) });
+      }
+      return result;
+    };
+  };
+
+  return {
+    tabId,
+    middleware,
+    stop,
+    isLeader,
+    getLeaderId,
+  };
+};
@@ -0,0 +1,64 @@
+/**
+ * Shared Store Definitions
+ * Action types, action creators and reducers used by the host Redux store and by
+ * the fallback store micro frontends use when the host store isn't available
+ */
+
+export { reducers, createRootReducer } from './rootReducer';
+export { default as cartReducer } from './reducers/cartReducer';
+export { default as userReducer } from './reducers/userReducer';
+export { default as authReducer } from './reducers/authReducer';
+export { default as undoable } from './reducers/undoable';
+export { withReducerInjection } from './reducerInjection';
+
+export {
+  createStatePersistence,
+  getVersionedKey,
+  DEFAULT_PERSIST_KEY,
+} from './persistence';
+
+export {
+  createMiddlewarePipeline,
+  createThunkMiddleware,
+  createLoggerMiddleware,
+  createErrorReporterMiddleware,
+  createValidationMiddleware,
+} from './middleware';
+
+export { actionSchemas, stateInvariants } from './actionSchemas';
+
+export { apiCall } from './api';
+
+export {
+  getStockLimit,
+  getOrderLimit,
+  getMaxQuantity,
+  getRemainingQuantity,
+  getLimitReason,
+  OUT_OF_STOCK,
+  MAX_QUANTITY,
+} from './inventory';
+
+export { getCartLineId, getOtherLinesQuantity, formatCartLineOptions } from './cartLines';
+
+export {
+  configureAuth,
+  getAuthConfig,
+  watchSessionExpiry,
+  createMockAuthAdapter,
+  createTokenStorage,
+  DEMO_USERS,
+  DEFAULT_SESSION_KEY,
+} from './auth';
+
+export {
+  createCrossTabSync,
+  createTabTransport,
+  DEFAULT_SYNC_CHANNEL,
+  DEFAULT_SYNCED_ACTIONS,
+} from './crossTabSync';
+
+export * from './actions/cartActions';
+export * from './actions/userActions';
+export * from './actions/authActions';
+export * from './selectors';
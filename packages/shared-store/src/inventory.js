@@ -0,0 +1,35 @@
+/**
+ * Inventory Limits
+ * How many of a product fit in the cart. Products and cart items may carry
+ * `stock` (units left), `maxPerOrder` and `inStock`; `inStock: false` means
+ * none can be added. Without any of them there is no limit.
+ *
+ * Stock is counted per cart line, since each variant has its own. The order
+ * limit covers every line of the product, so the helpers below take the
+ * quantity of that product already on other lines.
+ */
+
+// Reasons the cart records in `cart.stockLimit` when it rejects or clamps a quantity
+export const OUT_OF_STOCK = 'out_of_stock';
+export const MAX_QUANTITY = 'max_quantity';
+
+const isLimit = (value) => Number.isInteger(value) && value >= 0;
+
+// Units of this line's product or variant left in stock
+export const getStockLimit = (item) => {
+  if (item.inStock === false) return 0;
+  return isLimit(item.stock) ? item.stock : Infinity;
+};
+
+// Units of the product one order may hold, across all of its lines
+export const getOrderLimit = (product) => (isLimit(product.maxPerOrder) ? product.maxPerOrder : Infinity);
+
+// The most a line may hold with `otherLinesQuantity` of the same product on other lines
+export const getMaxQuantity = (item, otherLinesQuantity = 0) =>
+  Math.min(getStockLimit(item), Math.max(0, getOrderLimit(item) - otherLinesQuantity));
+
+// How many more can be added to a line holding `quantityInLine`
+export const getRemainingQuantity = (item, quantityInLine = 0, otherLinesQuantity = 0) =>
+  Math.max(0, getMaxQuantity(item, otherLinesQuantity) - quantityInLine);
+
+export const getLimitReason = (item) => (getStockLimit(item) === 0 ? OUT_OF_STOCK : MAX_QUANTITY);
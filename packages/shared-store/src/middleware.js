@@ -0,0 +1,102 @@
+/**
+ * Store Middleware
+ * Async action support, action logging, validation and error reporting for the shared store
+ */
+
+import { actionSchemas, stateInvariants } from './actionSchemas';
+
+/**
+ * Lets action creators return a function `(dispatch, getState, extra) => ...`
+ * instead of an action, e.g. to load data before dispatching the result
+ */
+export const createThunkMiddleware = (extraArgument) => ({ dispatch, getState }) => next => (action) => {
+  if (typeof action === 'function') {
+    return action(dispatch, getState, extraArgument);
+  }
+  return next(action);
+};
+
+/**
+ * Log every action with the state before and after it
+ */
+export const createLoggerMiddleware = (logger = console) => ({ getState }) => next => (action) => {
+  const prevState = getState();
+  const result = next(action);
+  logger.debug(`action ${action.type}`, { prevState, action, nextState: getState() });
+  return result;
+};
+
+/**
+ * Report errors thrown while dispatching, and rejections of async actions.
+ * Errors are still passed on to the caller after being reported.
+ */
+export const createErrorReporterMiddleware = (onError) => () => next => (action) => {
+  const report = error => onError(error, action);
+
+  try {
+    const result = next(action);
+    if (result && typeof result.then === 'function') {
+      result.catch(report);
+    }
+    return result;
+  } catch (error) {
+    report(error);
+    throw error;
+  }
+};
+
+/**
+ * Check action payloads against their schemas and the state against its
+ * invariants after each action. Meant for development builds.
+ *
+ * `validate(schema, payload)` returns a list of errors (see validateSchema in
+ * shared-utils). `getSource(action)` names the micro frontend that dispatched it.
+ * In 'reject' mode invalid actions are dropped; in 'warn' mode they are only reported.
+ */
+export const createValidationMiddleware = ({
+  validate,
+  schemas = actionSchemas,
+  invariants = stateInvariants,
+  mode = 'warn',
+  getSource = action => (action.meta && action.meta.source) || 'unknown',
+  onViolation = (message, details) => console.error(`[store] ${message}`, details),
+}) => ({ getState }) => next => (action) => {
+  if (mode === 'off') return next(action);
+
+  const schema = schemas[action.type];
+  if (schema) {
+    const errors = validate(schema, action.payload);
+    if (errors.length > 0) {
+      const source = getSource(action);
+      onViolation(`Invalid ${action.type} dispatched by ${source}`, { action, source, errors });
+      if (mode === 'reject') return action;
+    }
+  }
+
+  const result = next(action);
+
+  const violations = invariants.map(check => check(getState())).filter(Boolean);
+  if (violations.length > 0) {
+    const source = getSource(action);
+    onViolation(`State invariant broken after ${action.type} dispatched by ${source}`, { action, source, errors: violations });
+  }
+
+  return result;
+};
+
+/**
+ * Middleware used by the host store, in order:
+ * error reporting, async actions, logging (development only), then any `extra` middleware
+ */
+export const createMiddlewarePipeline = ({
+  extraArgument = {},
+  logger = console,
+  onError = (error, action) => logger.error(`Error while dispatching ${typeof action === 'function' ? 'async action' : action.type}:`, error),
+  logActions = process.env.NODE_ENV === 'development',
+  extra = [],
+} = {}) => [
+  createErrorReporterMiddleware(onError),
+  createThunkMiddleware(extraArgument),
+  ...(logActions ? [createLoggerMiddleware(logger)] : []),
+  ...extra,
+];
@@ -0,0 +1,143 @@
+/**
+ * Store Persistence
+ * Saves whitelisted state slices to localStorage and rehydrates them at startup
+ *
+ * State is stored under a versioned key (`<key>:v<version>`). When the version is
+ * bumped, `migrations[n]` upgrades state saved by version n - 1 to version n and
+ * the old key is removed. `transforms[slice]` can strip parts of a slice that
+ * shouldn't outlive the session before it is written.
+ */
+
+export const DEFAULT_PERSIST_KEY = 'microreact:state';
+
+const getDefaultStorage = () => {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (error) {
+    // Access to localStorage can throw (e.g. blocked third-party storage)
+    return null;
+  }
+};
+
+/**
+ * Storage key for a given version, e.g. 'microreact:state:v2'
+ */
+export const getVersionedKey = (key, version) => `${key}:v${version}`;
+
+/**
+ * Create a persistence layer for a Redux store
+ */
+export const createStatePersistence = ({
+  key = DEFAULT_PERSIST_KEY,
+  version = 1,
+  whitelist = ['cart'],
+  migrations = {},
+  transforms = {},
+  storage = getDefaultStorage(),
+} = {}) => {
+  const storageKey = getVersionedKey(key, version);
+
+  const pick = (state) => whitelist.reduce((picked, slice) => {
+    if (state && state[slice] !== undefined) {
+      picked[slice] = state[slice];
+    }
+    return picked;
+  }, {});
+
+  const read = (itemKey) => {
+    const item = storage.getItem(itemKey);
+    return item ? JSON.parse(item) : null;
+  };
+
+  const write = (state) => {
+    try {
+      const picked = pick(state);
+      Object.keys(transforms).forEach((slice) => {
+        if (picked[slice] !== undefined) picked[slice] = transforms[slice](picked[slice]);
+      });
+      storage.setItem(storageKey, JSON.stringify(picked));
+      return true;
+    } catch (error) {
+      console.warn('Failed to persist store state:', error);
+      return false;
+    }
+  };
+
+  /**
+   * Run migrations from `fromVersion` up to the current version
+   */
+  const migrate = (state, fromVersion) => {
+    let migrated = state;
+    for (let next = fromVersion + 1; next <= version; next++) {
+      if (typeof migrations[next] !== 'function') {
+        throw new Error(`Missing store migration to v${next}`);
+      }
+      migrated = migrations[next](migrated);
+    }
+    return migrated;
+  };
+
+  /**
+   * Find saved state for the current version, or migrate the newest older one
+   */
+  const findSavedState = () => {
+    const current = read(storageKey);
+    if (current) return current;
+
+    for (let older = version - 1; older >= 1; older--) {
+      const olderKey = getVersionedKey(key, older);
+      const saved = read(olderKey);
+      if (saved) {
+        const migrated = pick(migrate(saved, older));
+        storage.removeItem(olderKey);
+        write(migrated);
+        return migrated;
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Whitelisted slices to pass to createStore as preloaded state
+   */
+  const loadState = () => {
+    if (!storage) return undefined;
+    try {
+      const saved = findSavedState();
+      return saved ? pick(saved) : undefined;
+    } catch (error) {
+      console.warn('Discarding persisted store state:', error);
+      storage.removeItem(storageKey);
+      return undefined;
+    }
+  };
+
+  /**
+   * Write whitelisted slices whenever one of them changes. Returns an unsubscribe function.
+   */
+  const persistStore = (store) => {
+    if (!storage) return () => {};
+
+    let lastSaved = pick(store.getState());
+    return store.subscribe(() => {
+      const current = pick(store.getState());
+      // Reducers return the same slice reference when nothing changed
+      const changed = whitelist.some(slice => current[slice] !== lastSaved[slice]);
+      if (changed) {
+        lastSaved = current;
+        write(current);
+      }
+    });
+  };
+
+  const clear = () => {
+    if (storage) storage.removeItem(storageKey);
+  };
+
+  return {
+    storageKey,
+    loadState,
+    persistStore,
+    clear,
+  };
+};
@@ -0,0 +1,87 @@
+/**
+ * Reducer Injection
+ * Lets micro frontends add their own state slices to a running store
+ *
+ * `store.injectReducer(key, reducer, { owner })` adds a slice and
+ * `store.ejectReducer(key, { owner })` removes it again. Both rebuild the root
+ * reducer through `replaceReducer`. Injecting the same reducer twice is
+ * reference counted (StrictMode mounts effects twice, a remote can mount more
+ * than once); a different reducer under a key that's already taken throws.
+ */
+
+import { combineReducers } from 'redux';
+import { reducers as defaultReducers } from './rootReducer';
+
+/**
+ * Add injectReducer/ejectReducer to a store (a no-op if it already has them)
+ */
+export const withReducerInjection = (store, { baseReducers = defaultReducers } = {}) => {
+  if (store.injectReducer) return store;
+
+  const injected = {};
+
+  const buildRootReducer = () => {
+    const slices = {};
+    Object.keys(injected).forEach((key) => {
+      slices[key] = injected[key].reducer;
+    });
+    const combined = combineReducers({ ...baseReducers, ...slices });
+    const keys = [...Object.keys(baseReducers), ...Object.keys(slices)];
+
+    // Drop the state of ejected slices without combineReducers warning about unknown keys
+    return (state, action) => {
+      if (state && Object.keys(state).some(key => !keys.includes(key))) {
+        const known = {};
+        keys.forEach((key) => {
+          if (key in state) known[key] = state[key];
+        });
+        return combined(known, action);
+      }
+      return combined(state, action);
+    };
+  };
+
+  const injectReducer = (key, reducer, { owner = 'unknown' } = {}) => {
+    if (typeof reducer !== 'function') {
+      throw new Error(`Reducer for "${key}" must be a function`);
+    }
+    if (baseReducers[key]) {
+      throw new Error(`Reducer key "${key}" is reserved by the host store`);
+    }
+
+    const existing = injected[key];
+    if (existing) {
+      if (existing.reducer !== reducer) {
+        throw new Error(`Reducer key "${key}" is already registered by ${existing.owner}`);
+      }
+      existing.refCount += 1;
+      return;
+    }
+
+    injected[key] = { reducer, owner, refCount: 1 };
+    store.replaceReducer(buildRootReducer());
+  };
+
+  const ejectReducer = (key, { owner } = {}) => {
+    if (baseReducers[key]) {
+      throw new Error(`Reducer key "${key}" is reserved by the host store`);
+    }
+
+    const existing = injected[key];
+    if (!existing) return;
+    if (owner && existing.owner !== owner) {
+      throw new Error(`Reducer key "${key}" is registered by ${existing.owner}, not ${owner}`);
+    }
+
+    existing.refCount -= 1;
+    if (existing.refCount === 0) {
+      delete injected[key];
+      store.replaceReducer(buildRootReducer());
+    }
+  };
+
+  store.injectReducer = injectReducer;
+  store.ejectReducer = ejectReducer;
+  store.getInjectedReducers = () => Object.keys(injected);
+  return store;
+};
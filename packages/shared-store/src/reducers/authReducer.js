@@ -0,0 +1,61 @@
+/**
+ * Auth Reducer
+ * Session state shared by all micro frontends. The signed-in user's profile
+ * lives in the user slice; this slice tracks the token and its lifecycle.
+ */
+
+import {
+  LOGIN_REQUEST,
+  LOGIN_SUCCESS,
+  LOGIN_FAILURE,
+  SESSION_EXPIRED,
+} from '../actions/authActions';
+import { LOGOUT } from '../actions/userActions';
+
+// status: 'anonymous' | 'authenticating' | 'authenticated' | 'expired'
+const initialState = {
+  status: 'anonymous',
+  token: null,
+  expiresAt: null,
+  error: null,
+};
+
+const authReducer = (state = initialState, action) => {
+  switch (action.type) {
+    case LOGIN_REQUEST:
+      return {
+        ...state,
+        status: 'authenticating',
+        error: null,
+      };
+
+    case LOGIN_SUCCESS:
+      return {
+        ...state,
+        status: 'authenticated',
+        token: action.payload.token,
+        expiresAt: action.payload.expiresAt,
+        error: null,
+      };
+
+    case LOGIN_FAILURE:
+      return {
+        ...initialState,
+        error: action.payload,
+      };
+
+    case SESSION_EXPIRED:
+      return {
+        ...initialState,
+        status: 'expired',
+      };
+
+    case LOGOUT:
+      return initialState;
+
+    default:
+      return state;
+  }
+};
+
+export default authReducer;
@@ -0,0 +1,175 @@
+/**
+ * Cart Reducer
+ * Manages cart state across all micro frontends. Items are kept per cart line,
+ * so each variant of a product gets its own line (see ../cartLines).
+ */
+
+import {
+  ADD_TO_CART,
+  REMOVE_FROM_CART,
+  UPDATE_QUANTITY,
+  CLEAR_CART,
+  SET_CART_ITEMS,
+  RESTORE_CART_LINE,
+} from '../actions/cartActions';
+import {
+  getStockLimit,
+  getOrderLimit,
+  getMaxQuantity,
+  getLimitReason,
+} from '../inventory';
+import { getCartLineId, getOtherLinesQuantity } from '../cartLines';
+
+const initialState = {
+  items: [],
+  total: 0,
+  itemCount: 0,
+  // Why the last add or quantity change was rejected or clamped:
+  // { productId, lineId, name, reason, requested, allowed }, or null
+  stockLimit: null,
+};
+
+const calculateTotals = (items) => {
+  const itemCount = items.reduce((sum, item) => sum + item.quantity, 0);
+  const total = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  return { itemCount, total };
+};
+
+// Reports whichever limit is lower: the line's stock, or the order limit
+// counted over every line of the product
+const createStockLimit = (product, requested, otherLinesQuantity) => {
+  const stockLimit = getStockLimit(product);
+  const byStock = stockLimit <= getOrderLimit(product) - otherLinesQuantity;
+  return {
+    productId: product.id,
+    lineId: getCartLineId(product),
+    name: product.name,
+    reason: getLimitReason(product),
+    requested: byStock ? requested : requested + otherLinesQuantity,
+    allowed: byStock ? stockLimit : getOrderLimit(product),
+  };
+};
+
+const cartReducer = (state = initialState, action) => {
+  switch (action.type) {
+    case ADD_TO_CART: {
+      const product = action.payload;
+      const lineId = getCartLineId(product);
+      const existingItem = state.items.find(item => getCartLineId(item) === lineId);
+      const requested = (existingItem ? existingItem.quantity : 0) + 1;
+      const otherLinesQuantity = getOtherLinesQuantity(state.items, product);
+
+      // Nothing more to add: keep the cart as it is and say why
+      if (requested > getMaxQuantity(product, otherLinesQuantity)) {
+        return {
+          ...state,
+          stockLimit: createStockLimit(product, requested, otherLinesQuantity),
+        };
+      }
+
+      let newItems;
+      if (existingItem) {
+        newItems = state.items.map(item =>
+          getCartLineId(item) === lineId
+            ? { ...item, quantity: requested }
+            : item
+        );
+      } else {
+        newItems = [...state.items, { ...product, quantity: 1 }];
+      }
+      
+      const { itemCount, total } = calculateTotals(newItems);
+      return {
+        ...state,
+        items: newItems,
+        itemCount,
+        total,
+        stockLimit: null,
+      };
+    }
+
+    case REMOVE_FROM_CART: {
+      const newItems = state.items.filter(item => getCartLineId(item) !== action.payload);
+      const { itemCount, total } = calculateTotals(newItems);
+      return {
+        ...state,
+        items: newItems,
+        itemCount,
+        total,
+        stockLimit: null,
+      };
+    }
+
+    case UPDATE_QUANTITY: {
+      // `productId` is the line id, which is the product id for products without variants
+      const { productId, quantity } = action.payload;
+      let stockLimit = null;
+      const newItems = state.items
+        .map(item => {
+          if (getCartLineId(item) !== productId) return item;
+          // More than the limit allows is clamped to the limit
+          const otherLinesQuantity = getOtherLinesQuantity(state.items, item);
+          const allowed = getMaxQuantity(item, otherLinesQuantity);
+          if (quantity > allowed) {
+            stockLimit = createStockLimit(item, quantity, otherLinesQuantity);
+          }
+          return { ...item, quantity: Math.max(0, Math.min(quantity, allowed)) };
+        })
+        .filter(item => item.quantity > 0);
+      
+      const { itemCount, total } = calculateTotals(newItems);
+      return {
+        ...state,
+        items: newItems,
+        itemCount,
+        total,
+        stockLimit,
+      };
+    }
+
+    case CLEAR_CART:
+      return initialState;
+
+    case SET_CART_ITEMS: {
+      const { itemCount, total } = calculateTotals(action.payload);
+      return {
+        ...state,
+        items: action.payload,
+        itemCount,
+        total,
+        stockLimit: null,
+      };
+    }
+
+    case RESTORE_CART_LINE: {
+      const { item, index } = action.payload;
+      const lineId = getCartLineId(item);
+      // Added again since it was removed
+      if (state.items.some(existing => getCartLineId(existing) === lineId)) return state;
+
+      const otherLinesQuantity = getOtherLinesQuantity(state.items, item);
+      const quantity = Math.min(item.quantity, getMaxQuantity(item, otherLinesQuantity));
+      const stockLimit = quantity < item.quantity ? createStockLimit(item, item.quantity, otherLinesQuantity) : null;
+      if (quantity === 0) {
+        return { ...state, stockLimit };
+      }
+
+      const newItems = [...state.items];
+      newItems.splice(index, 0, { ...item, quantity });
+      const { itemCount, total } = calculateTotals(newItems);
+      return {
+        ...state,
+        items: newItems,
+        itemCount,
+        total,
+        stockLimit,
+      };
+    }
+
+    default:
+      return state;
+  }
+};
+
+export default cartReducer;
+
@@ -0,0 +1,128 @@
+/**
+ * Undoable Reducer
+ * Wraps a slice reducer with a bounded undo/redo history and optimistic updates
+ *
+ * The slice keeps its own shape; the history lives next to it under `history`:
+ *   { ...slice, history: { past, future, optimistic } }
+ *
+ * Actions with `meta.optimisticId` are optimistic. From the first one on, every
+ * action is logged against a checkpoint of the slice. Committing an id keeps its
+ * changes; rolling it back replays the log from the checkpoint without it, so
+ * changes made in the meantime survive.
+ */
+
+const initialHistory = {
+  past: [],
+  future: [],
+  optimistic: null,
+};
+
+const undoable = (reducer, {
+  limit = 20,
+  undoType,
+  redoType,
+  commitType,
+  rollbackType,
+  // Changes from actions this returns false for are applied but can't be undone
+  filter = () => true,
+  // Slice keys that aren't part of the history, e.g. notices about the last action.
+  // Changing only these adds no undo step, and undo/redo keep their current values.
+  transient = [],
+} = {}) => {
+  const split = (state) => {
+    const { history = initialHistory, ...present } = state;
+    return { present, history };
+  };
+
+  const join = (present, history) => ({ ...present, history });
+
+  const keepTransient = (slice, current) =>
+    transient.reduce((result, key) => ({ ...result, [key]: current[key] }), slice);
+
+  const onlyTransientChanged = (prev, next) =>
+    Object.keys({ ...prev, ...next }).every(key => prev[key] === next[key] || transient.includes(key));
+
+  // Drop the optimistic log once nothing is pending any more
+  const settle = (optimistic) =>
+    optimistic.log.some(entry => entry.id !== null) ? optimistic : null;
+
+  return (state, action) => {
+    if (state === undefined) {
+      return join(reducer(undefined, action), initialHistory);
+    }
+
+    const { present, history } = split(state);
+    const { past, future, optimistic } = history;
+
+    switch (action.type) {
+      case undoType: {
+        // Undo would invalidate the optimistic checkpoint
+        if (past.length === 0 || optimistic) return state;
+        return join(keepTransient(past[past.length - 1], present), {
+          ...history,
+          past: past.slice(0, -1),
+          future: [present, ...future],
+        });
+      }
+
+      case redoType: {
+        if (future.length === 0 || optimistic) return state;
+        return join(keepTransient(future[0], present), {
+          ...history,
+          past: [...past, present].slice(-limit),
+          future: future.slice(1),
+        });
+      }
+
+      case commitType: {
+        if (!optimistic) return state;
+        const log = optimistic.log.map(entry => (entry.id === action.payload ? { ...entry, id: null } : entry));
+        return join(present, { ...history, optimistic: settle({ ...optimistic, log }) });
+      }
+
+      case rollbackType: {
+        if (!optimistic) return state;
+        const log = optimistic.log.filter(entry => entry.id !== action.payload);
+        const replayed = log.reduce((slice, entry) => reducer(slice, entry.action), optimistic.checkpoint);
+        return join(replayed, {
+          ...history,
+          future: [],
+          optimistic: settle({ ...optimistic, log }),
+        });
+      }
+
+      default:
+        break;
+    }
+
+    const next = reducer(present, action);
+    const optimisticId = (action.meta && action.meta.optimisticId) || null;
+
+    let nextOptimistic = optimistic;
+    if (optimistic) {
+      nextOptimistic = { ...optimistic, log: [...optimistic.log, { action, id: optimisticId }] };
+    } else if (optimisticId) {
+      nextOptimistic = { checkpoint: present, log: [{ action, id: optimisticId }] };
+    }
+
+    if (next === present) {
+      return nextOptimistic === optimistic ? state : join(present, { ...history, optimistic: nextOptimistic });
+    }
+
+    if (transient.length > 0 && onlyTransientChanged(present, next)) {
+      return join(next, { ...history, optimistic: nextOptimistic });
+    }
+
+    if (!filter(action)) {
+      return join(next, { past: [], future: [], optimistic: nextOptimistic });
+    }
+
+    return join(next, {
+      past: [...past, present].slice(-limit),
+      future: [],
+      optimistic: nextOptimistic,
+    });
+  };
+};
+
+export default undoable;
@@ -4,6 +4,7 @@
  */
 
 import { SET_USER, UPDATE_USER_PREFERENCES, LOGOUT } from '../actions/userActions';
+import { SESSION_EXPIRED } from '../actions/authActions';
 
 const initialState = {
   user: null,
@@ -36,6 +37,14 @@ const userReducer = (state = initialState, action) => {
     case LOGOUT:
       return initialState;
 
+    // Sign the user out but keep their preferences
+    case SESSION_EXPIRED:
+      return {
+        ...state,
+        user: null,
+        isAuthenticated: false,
+      };
+
     default:
       return state;
   }
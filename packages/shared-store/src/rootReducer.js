@@ -0,0 +1,44 @@
+/**
+ * Root Reducer
+ * Slices every store built from shared-store starts with
+ */
+
+import { combineReducers } from 'redux';
+import cartReducer from './reducers/cartReducer';
+import userReducer from './reducers/userReducer';
+import authReducer from './reducers/authReducer';
+import undoable from './reducers/undoable';
+import {
+  UNDO_CART,
+  REDO_CART,
+  COMMIT_CART_UPDATE,
+  ROLLBACK_CART_UPDATE,
+} from './actions/cartActions';
+
+// Cart changes can be undone and rolled back; changes synced from other tabs
+// reset the history, since undo only covers what happened in this tab.
+// A rejected add only sets `stockLimit`, which isn't something to undo.
+const undoableCartReducer = undoable(cartReducer, {
+  limit: 20,
+  undoType: UNDO_CART,
+  redoType: REDO_CART,
+  commitType: COMMIT_CART_UPDATE,
+  rollbackType: ROLLBACK_CART_UPDATE,
+  filter: action => !(action.meta && action.meta.crossTab),
+  transient: ['stockLimit'],
+});
+
+// Reducers keyed by state slice
+export const reducers = {
+  cart: undoableCartReducer,
+  user: userReducer,
+  auth: authReducer,
+};
+
+// Build the root reducer, optionally with extra slices
+export const createRootReducer = (extraReducers = {}) => {
+  return combineReducers({
+    ...reducers,
+    ...extraReducers,
+  });
+};
@@ -0,0 +1,87 @@
+/**
+ * Store Selectors
+ * Memoized selectors for derived cart and user values, so every micro frontend
+ * shows the same numbers and components only re-render when their inputs change
+ */
+
+import { getCartLineId } from './cartLines';
+
+export const TAX_RATE = 0.1;
+
+/**
+ * Build a selector that only recomputes when one of its input selectors
+ * returns a different value (compared by reference)
+ */
+export const createSelector = (inputSelectors, combiner) => {
+  let lastInputs = null;
+  let lastResult;
+
+  return (state) => {
+    const inputs = inputSelectors.map(selector => selector(state));
+    const unchanged = lastInputs && inputs.every((input, index) => input === lastInputs[index]);
+    if (!unchanged) {
+      lastResult = combiner(...inputs);
+      lastInputs = inputs;
+    }
+    return lastResult;
+  };
+};
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Cart
+export const selectCart = (state) => state.cart;
+export const selectCartItems = (state) => state.cart.items;
+export const selectCartItemCount = (state) => state.cart.itemCount;
+export const selectCartSubtotal = (state) => state.cart.total;
+
+export const selectCartTax = createSelector(
+  [selectCartSubtotal],
+  (subtotal) => roundCurrency(subtotal * TAX_RATE)
+);
+
+export const selectCartGrandTotal = createSelector(
+  [selectCartSubtotal, selectCartTax],
+  (subtotal, tax) => roundCurrency(subtotal + tax)
+);
+
+// Cart lines with their line id and own subtotal (price x quantity)
+export const selectCartLineItems = createSelector(
+  [selectCartItems],
+  (items) => items.map(item => ({
+    ...item,
+    lineId: getCartLineId(item),
+    subtotal: roundCurrency(item.price * item.quantity),
+  }))
+);
+
+export const selectCartSummary = createSelector(
+  [selectCartItemCount, selectCartSubtotal, selectCartTax, selectCartGrandTotal],
+  (itemCount, subtotal, tax, total) => ({ itemCount, subtotal, tax, total })
+);
+
+// Quantity on each cart line, by line id (the product id for products without variants)
+export const selectCartQuantities = createSelector(
+  [selectCartItems],
+  (items) => items.reduce((quantities, item) => ({ ...quantities, [getCartLineId(item)]: item.quantity }), {})
+);
+
+// Why the last add or quantity change was rejected or clamped, or null
+export const selectCartStockLimit = (state) => state.cart.stockLimit || null;
+
+export const selectCanUndoCart = (state) =>
+  Boolean(state.cart.history && state.cart.history.past.length > 0 && !state.cart.history.optimistic);
+export const selectCanRedoCart = (state) =>
+  Boolean(state.cart.history && state.cart.history.future.length > 0 && !state.cart.history.optimistic);
+
+// User
+export const selectUser = (state) => state.user.user;
+export const selectIsAuthenticated = (state) => state.user.isAuthenticated;
+export const selectUserPreferences = (state) => state.user.preferences;
+
+// Session
+export const selectSession = (state) => state.auth;
+// 'anonymous' | 'authenticating' | 'authenticated' | 'expired'
+export const selectSessionStatus = (state) => state.auth.status;
+export const selectIsSignedIn = (state) =>
+  state.auth.status === 'authenticated' && state.auth.expiresAt > Date.now();
@@ -0,0 +1,51 @@
+/**
+ * Event Contracts
+ * Payload definitions for events on the shared event bus.
+ * Bump `version` when a payload changes in a way subscribers need to know about.
+ * `sticky` events hand their latest payload to every new subscriber.
+ */
+
+export const eventContracts = [
+  {
+    name: 'product-added',
+    version: 1,
+    payload: {
+      type: 'object',
+      required: ['product', 'price', 'source', 'timestamp'],
+      properties: {
+        productId: { type: ['number', 'string'] },
+        // Set when a specific variant of the product was added
+        variantId: { type: 'string' },
+        product: { type: 'string' },
+        price: { type: 'number', minimum: 0 },
+        source: { type: 'string' },
+        timestamp: { type: 'string' },
+      },
+    },
+  },
+  {
+    name: 'cart-updated',
+    version: 1,
+    // Badges only care about the current count, so late subscribers get the latest one
+    sticky: true,
+    payload: {
+      type: 'object',
+      required: ['itemCount'],
+      properties: {
+        itemCount: { type: 'integer', minimum: 0 },
+        total: { type: 'number', minimum: 0 },
+      },
+    },
+  },
+  {
+    name: 'user-action',
+    version: 1,
+    payload: {
+      type: 'object',
+      required: ['action'],
+      properties: {
+        action: { type: 'string' },
+      },
+    },
+  },
+];
@@ -0,0 +1,346 @@
+/**
+ * Event Emitter
+ * Cross-micro-frontend event bus
+ *
+ * Every micro frontend on the page shares one bus through a window-level
+ * singleton, so the host utils and the fallback utils reach the same subscribers.
+ */
+
+import { validateSchema } from './schema';
+
+const GLOBAL_BUS_KEY = '__MICROREACT_EVENT_BUS__';
+
+// Contract validation is a development aid: warn by default, skip in production
+const defaultValidationMode = () => {
+  return process.env.NODE_ENV === 'development' ? 'warn' : 'off';
+};
+
+const patternCache = {};
+
+// '*' matches any run of characters, so 'cart:*' covers 'cart:updated' and 'cart:item:removed'
+const matchesPattern = (pattern, event) => {
+  if (!patternCache[pattern]) {
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    patternCache[pattern] = new RegExp(`^${escaped.join('.*')}$`);
+  }
+  return patternCache[pattern].test(event);
+};
+
+export class EventEmitter {
+  constructor({ validationMode = defaultValidationMode(), replayBufferSize = 0 } = {}) {
+    this.events = {};
+    this.sequence = 0;
+    this.definitions = {};
+    this.validationMode = validationMode;
+    this.history = [];
+    this.replayBufferSize = replayBufferSize;
+    this.stickyEvents = {};
+    this.latest = {};
+  }
+
+  /**
+   * Register an event contract: { name, version, payload } where payload is a
+   * JSON-schema-like spec (see schema.js)
+   */
+  defineEvent(definition) {
+    const { name, version = 1, payload = null, sticky = false } = definition;
+    const existing = this.definitions[name];
+    if (existing && existing.version > version) {
+      console.warn(`[WARN] Ignoring v${version} of event "${name}", v${existing.version} is already registered`);
+      return;
+    }
+    this.definitions[name] = { name, version, payload, sticky };
+  }
+
+  defineEvents(definitions) {
+    definitions.forEach(definition => this.defineEvent(definition));
+  }
+
+  getDefinition(event) {
+    return this.definitions[event] || null;
+  }
+
+  /**
+   * 'warn' logs mismatching payloads, 'reject' throws before delivery, 'off' skips checks
+   */
+  setValidationMode(mode) {
+    this.validationMode = mode;
+  }
+
+  /**
+   * Check a payload against the event's contract. Events without a contract always pass.
+   */
+  validate(event, data) {
+    const definition = this.definitions[event];
+    if (!definition || this.validationMode === 'off') return true;
+
+    const errors = validateSchema(definition.payload, data);
+    if (errors.length === 0) return true;
+
+    const message = `Event "${event}" (v${definition.version}) payload does not match its contract: ${errors.join('; ')}`;
+    if (this.validationMode === 'reject') {
+      throw new Error(message);
+    }
+    console.warn(`[WARN] ${message}`);
+    return false;
+  }
+
+  /**
+   * Keep the last `bufferSize` events so late subscribers can catch up (0 disables the buffer)
+   */
+  configureReplay({ bufferSize = 0 } = {}) {
+    this.replayBufferSize = bufferSize;
+    this.history.splice(0, Math.max(0, this.history.length - bufferSize));
+  }
+
+  /**
+   * Sticky events remember their latest payload and hand it to every new subscriber
+   */
+  setSticky(event, sticky = true) {
+    this.stickyEvents[event] = sticky;
+  }
+
+  isSticky(event) {
+    if (this.stickyEvents[event] !== undefined) return this.stickyEvents[event];
+    return Boolean(this.definitions[event] && this.definitions[event].sticky);
+  }
+
+  /**
+   * Latest payload emitted for an event, or undefined if there is none
+   */
+  getLatest(event) {
+    if (this.latest[event]) return this.latest[event].data;
+    const entry = this.getHistory(event, 1)[0];
+    return entry ? entry.data : undefined;
+  }
+
+  /**
+   * Last `limit` buffered events matching an event name or wildcard pattern
+   * Returns [{ event, data, timestamp }], oldest first
+   */
+  getHistory(event = '*', limit = this.history.length) {
+    const entries = this.history.filter(entry => matchesPattern(event, entry.event));
+    return limit > 0 ? entries.slice(-limit) : [];
+  }
+
+  /**
+   * Subscribe to an event. `event` may be namespaced ('product:added') or a
+   * wildcard pattern ('cart:*', '*'). Wildcard listeners are called with
+   * (data, event). Listeners with a higher priority run first.
+   *
+   * `replay: n` delivers the last n buffered events right away; sticky events
+   * deliver their latest payload even without it.
+   * Returns an unsubscribe function.
+   */
+  on(event, callback, { priority = 0, replay = 0 } = {}) {
+    const unsubscribe = this.addListener(event, { callback, original: callback, priority });
+    const listener = { callback, wildcard: event.includes('*') };
+
+    if (replay > 0) {
+      this.getHistory(event, replay).forEach(entry => this.notify(listener, entry.data, entry.event));
+    } else if (this.latest[event] && this.isSticky(event)) {
+      this.notify(listener, this.latest[event].data, event);
+    }
+
+    return unsubscribe;
+  }
+
+  off(event, callback) {
+    if (this.events[event]) {
+      this.events[event] = this.events[event].filter(
+        listener => listener.callback !== callback && listener.original !== callback
+      );
+    }
+  }
+
+  emit(event, data) {
+    this.validate(event, data);
+    this.record(event, data);
+    this.getListeners(event).forEach(listener => this.notify(listener, data, event));
+  }
+
+  record(event, data) {
+    const entry = { event, data, timestamp: Date.now() };
+
+    if (this.isSticky(event)) {
+      this.latest[event] = entry;
+    }
+    if (this.replayBufferSize > 0) {
+      this.history.push(entry);
+      this.history.splice(0, Math.max(0, this.history.length - this.replayBufferSize));
+    }
+  }
+
+  notify(listener, data, event) {
+    // A faulty listener in one micro frontend must not stop the others
+    try {
+      // Wildcard listeners also get the concrete event name
+      if (listener.wildcard) {
+        listener.callback(data, event);
+      } else {
+        listener.callback(data);
+      }
+    } catch (error) {
+      console.error(`[ERROR] Listener for "${event}" threw:`, error);
+    }
+  }
+
+  once(event, callback, { priority = 0 } = {}) {
+    let unsubscribe = null;
+    const wrapper = (data, emitted) => {
+      unsubscribe();
+      callback(data, emitted);
+    };
+    unsubscribe = this.addListener(event, { callback: wrapper, original: callback, priority });
+    return unsubscribe;
+  }
+
+  addListener(event, listener) {
+    if (!this.events[event]) {
+      this.events[event] = [];
+    }
+    this.sequence += 1;
+    const record = { ...listener, wildcard: event.includes('*'), order: this.sequence };
+    this.events[event].push(record);
+
+    return () => {
+      if (this.events[event]) {
+        this.events[event] = this.events[event].filter(item => item !== record);
+      }
+    };
+  }
+
+  /**
+   * Exact and wildcard listeners for an event, highest priority first
+   */
+  getListeners(event) {
+    return Object.keys(this.events)
+      .filter(key => key === event || (key.includes('*') && matchesPattern(key, event)))
+      .flatMap(key => this.events[key])
+      .sort((a, b) => b.priority - a.priority || a.order - b.order);
+  }
+}
+
+let localBus = null;
+
+/**
+ * Get the page-wide event bus, creating it on first use
+ */
+export const getSharedEventEmitter = () => {
+  if (typeof window === 'undefined') {
+    if (!localBus) localBus = new EventEmitter();
+    return localBus;
+  }
+  if (!window[GLOBAL_BUS_KEY]) {
+    window[GLOBAL_BUS_KEY] = new EventEmitter();
+  }
+  return window[GLOBAL_BUS_KEY];
+};
+
+/**
+ * Join two buses, e.g. a fallback bus and the host's bus once host utils load.
+ * Listeners, contracts and replay state are moved over and both instances share them from then on.
+ */
+export const joinEventEmitters = (source, target) => {
+  if (!source || !target || source === target || source.events === target.events) {
+    return target;
+  }
+
+  // Move the listener records themselves, so unsubscribe functions handed out
+  // before the join still find them. They go after the target's own listeners
+  // of the same priority, in the order they were added.
+  Object.keys(source.events).forEach((event) => {
+    if (!target.events[event]) {
+      target.events[event] = [];
+    }
+    [...source.events[event]]
+      .sort((a, b) => a.order - b.order)
+      .forEach((record) => {
+        target.sequence += 1;
+        record.order = target.sequence;
+        target.events[event].push(record);
+      });
+  });
+  source.events = target.events;
+
+  Object.values(source.definitions || {}).forEach((definition) => {
+    if (!target.getDefinition(definition.name)) {
+      target.defineEvent(definition);
+    }
+  });
+  source.definitions = target.definitions;
+
+  // Keep whatever was emitted before the join available for replay
+  target.history.unshift(...source.history.filter(entry => !target.history.includes(entry)));
+  target.history.sort((a, b) => a.timestamp - b.timestamp);
+  target.history.splice(0, Math.max(0, target.history.length - target.replayBufferSize));
+  source.history = target.history;
+  Object.keys(source.latest || {}).forEach((event) => {
+    if (!target.latest[event] || target.latest[event].timestamp < source.latest[event].timestamp) {
+      target.latest[event] = source.latest[event];
+    }
+  });
+  source.latest = target.latest;
+  target.stickyEvents = { ...source.stickyEvents, ...target.stickyEvents };
+  source.stickyEvents = target.stickyEvents;
+
+  if (typeof window !== 'undefined') {
+    window[GLOBAL_BUS_KEY] = target;
+  }
+  return target;
+};
+
+// Event names currently being forwarded, shared by all bridges so that
+// re-dispatching an event can never bounce back and forth
+const forwarding = new Set();
+
+const forwardOnce = (event, forward) => {
+  if (forwarding.has(event)) return;
+  forwarding.add(event);
+  try {
+    forward();
+  } finally {
+    forwarding.delete(event);
+  }
+};
+
+/**
+ * Mirror chosen events between an EventEmitter and window CustomEvents in both
+ * directions. Emitter payloads become `event.detail` and vice versa.
+ */
+export const createWindowEventBridge = (emitter, eventNames = [], target = typeof window !== 'undefined' ? window : null) => {
+  const bridged = {};
+
+  const add = (event) => {
+    if (!target || bridged[event]) return;
+
+    const toWindow = (data) => {
+      forwardOnce(event, () => target.dispatchEvent(new CustomEvent(event, { detail: data })));
+    };
+    const toEmitter = (windowEvent) => {
+      forwardOnce(event, () => emitter.emit(event, windowEvent.detail));
+    };
+
+    emitter.on(event, toWindow);
+    target.addEventListener(event, toEmitter);
+    bridged[event] = { toWindow, toEmitter };
+  };
+
+  const remove = (event) => {
+    const handlers = bridged[event];
+    if (!handlers) return;
+
+    emitter.off(event, handlers.toWindow);
+    target.removeEventListener(event, handlers.toEmitter);
+    delete bridged[event];
+  };
+
+  eventNames.forEach(add);
+
+  return {
+    add,
+    remove,
+    getEvents: () => Object.keys(bridged),
+    disconnect: () => Object.keys(bridged).forEach(remove),
+  };
+};
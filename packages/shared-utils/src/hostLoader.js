@@ -5,6 +5,26 @@
  * This handles the case where micro frontends load before the host application
  */
 
+import {
+  createRootReducer,
+  withReducerInjection,
+  setCartItems,
+  clearCart,
+  setUser,
+  updateUserPreferences,
+  getCartLineId,
+  getOtherLinesQuantity,
+  getMaxQuantity,
+  apiCall,
+} from 'shared-store';
+import { remoteRegistry, isRetryableLoadError } from './remoteRegistry';
+import { getSharedEventEmitter, joinEventEmitters } from './eventEmitter';
+
+// Built-in host exposes. These go through the build-time `host` remote so
+// webpack can still analyse and bundle them; anything else is registered at runtime.
+remoteRegistry.registerModule('host/store', () => import(/* webpackChunkName: "host-store" */ 'host/store'));
+remoteRegistry.registerModule('host/utils', () => import(/* webpackChunkName: "host-utils" */ 'host/utils'));
+
 /**
  * Check if host module is available
  */
@@ -22,27 +42,17 @@ export const isHostAvailable = (moduleName) => {
 };
 
 /**
- * Safely import host module with retry logic
+ * Safely import a registered remote module, retrying failed downloads
  */
 export const safeImportHostModule = async (modulePath, retries = 3, delay = 1000) => {
   for (let i = 0; i < retries; i++) {
     try {
-      // Use static imports for Module Federation remotes
-      // This allows webpack to properly analyze and bundle the imports
-      let module;
-      if (modulePath === 'host/store') {
-        module = await import(/* webpackChunkName: "host-store" */ 'host/store');
-      } else if (modulePath === 'host/utils') {
-        module = await import(/* webpackChunkName: "host-utils" */ 'host/utils');
-      } else {
-        // Only support known Module Federation remotes
-        throw new Error(`Unsupported module path: ${modulePath}. Only 'host/store' and 'host/utils' are supported.`);
-      }
+      const module = await remoteRegistry.loadModule(modulePath);
       return { success: true, module, error: null };
     } catch (error) {
       console.warn(`Attempt ${i + 1} failed to load ${modulePath}:`, error.message);
       
-      if (i < retries - 1) {
+      if (i < retries - 1 && isRetryableLoadError(error)) {
         // Wait before retrying
         await new Promise(resolve => setTimeout(resolve, delay));
       } else {
@@ -52,25 +62,64 @@ export const safeImportHostModule = async (modulePath, retries = 3, delay = 1000
   }
 };
 
+/**
+ * Merge cart lines from two stores, adding up quantities of the same product
+ * and variant, up to what its stock and order limit allow
+ */
+export const mergeCartItems = (items, incomingItems) => {
+  const merged = items.map(item => ({ ...item }));
+  incomingItems.forEach((incoming) => {
+    const existing = merged.find(item => getCartLineId(item) === getCartLineId(incoming));
+    if (existing) {
+      const allowed = getMaxQuantity(existing, getOtherLinesQuantity(merged, existing));
+      existing.quantity = Math.min(existing.quantity + incoming.quantity, allowed);
+    } else {
+      merged.push({ ...incoming });
+    }
+  });
+  return merged;
+};
+
 /**
  * Create a safe store loader with fallback
+ *
+ * When the host store isn't available the loader hands out a fallback store and
+ * keeps polling for the host in the background. Once it shows up, the fallback
+ * state is moved into the host store and `onStoreChange` listeners get the new store.
  */
-export const createSafeStoreLoader = () => {
+export const createSafeStoreLoader = ({
+  retries = 3,
+  retryDelay = 1000,
+  pollInterval = 5000,
+  // Where to poll for the host when no `host` remote is registered at runtime
+  hostRemoteEntry = 'http://localhost:3000/remoteEntry.js',
+  // Third argument for async actions, matching the host store's thunk middleware
+  getThunkExtraArgument = () => ({}),
+} = {}) => {
   let store = null;
   let storePromise = null;
   let fallbackStore = null;
+  let fallbackInitialState = null;
+  let isPolling = false;
+  let pollTimer = null;
+  const storeListeners = [];
 
   // Create a minimal fallback store
   const createFallbackStore = () => {
     if (fallbackStore) return fallbackStore;
 
-    const createStore = (reducer, initialState = {}) => {
-      let state = initialState;
+    const createStore = (rootReducer, initialState) => {
+      let reducer = rootReducer;
+      let state = reducer(initialState, { type: '@@fallback/INIT' });
       const listeners = [];
 
-      return {
+      const fallback = {
         getState: () => state,
         dispatch: (action) => {
+          // Async actions work the same as with the host store's thunk middleware
+          if (typeof action === 'function') {
+            return action(fallback.dispatch, fallback.getState, getThunkExtraArgument());
+          }
           try {
             state = reducer(state, action);
             listeners.forEach(listener => listener());
@@ -87,57 +136,138 @@ export const createSafeStoreLoader = () => {
             if (index > -1) listeners.splice(index, 1);
           };
         },
-        replaceReducer: () => {},
+        replaceReducer: (nextReducer) => {
+          reducer = nextReducer;
+          state = reducer(state, { type: '@@fallback/REPLACE' });
+          listeners.forEach(listener => listener());
+        },
       };
+      return fallback;
     };
 
-    const fallbackReducer = (state = { cart: { items: [], total: 0, itemCount: 0 }, user: { user: null, preferences: {}, isAuthenticated: false } }, action) => {
-      // Minimal reducer for fallback
-      if (action.type === 'ADD_TO_CART') {
-        const existingItem = state.cart.items.find(item => item.id === action.payload.id);
-        const newItems = existingItem
-          ? state.cart.items.map(item =>
-              item.id === action.payload.id
-                ? { ...item, quantity: item.quantity + 1 }
-                : item
-            )
-          : [...state.cart.items, { ...action.payload, quantity: 1 }];
-        
-        const total = newItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
-        return {
-          ...state,
-          cart: {
-            items: newItems,
-            total,
-            itemCount: newItems.reduce((sum, item) => sum + item.quantity, 0),
-          },
-        };
+    // Same reducers and action types as the host store, so standalone mode behaves identically
+    fallbackStore = withReducerInjection(createStore(createRootReducer()));
+    fallbackInitialState = fallbackStore.getState();
+    return fallbackStore;
+  };
+
+  /**
+   * Move anything done in standalone mode into the host store
+   */
+  const handOffFallbackState = (hostStore) => {
+    const fallbackState = fallbackStore.getState();
+    const hostState = hostStore.getState();
+
+    if (fallbackState.cart.items.length > 0) {
+      hostStore.dispatch(setCartItems(mergeCartItems(hostState.cart.items, fallbackState.cart.items)));
+    }
+
+    if (fallbackState.user.user && !hostState.user.isAuthenticated) {
+      hostStore.dispatch(setUser(fallbackState.user.user));
+    }
+
+    // Only what was changed in standalone mode; the fallback's defaults must not
+    // replace the preferences the host already has
+    const preferences = fallbackState.user.preferences;
+    const initialPreferences = fallbackInitialState.user.preferences;
+    const changed = Object.keys(preferences).filter(key => preferences[key] !== initialPreferences[key]);
+    if (changed.length > 0) {
+      hostStore.dispatch(updateUserPreferences(
+        changed.reduce((result, key) => ({ ...result, [key]: preferences[key] }), {})
+      ));
+    }
+
+    fallbackStore.dispatch(clearCart());
+  };
+
+  const adoptHostStore = (hostStore) => {
+    if (fallbackStore) {
+      handOffFallbackState(hostStore);
+    }
+    store = hostStore;
+    console.info('✅ Host store became available, switched from fallback store');
+    storeListeners.forEach(listener => listener(store));
+  };
+
+  /**
+   * Keep checking for the host store in the background
+   */
+  const pollForHostStore = () => {
+    if (isPolling) return;
+    isPolling = true;
+
+    // webpack caches a failed load of the build-time `host` remote, so a host that
+    // starts later would never be seen. Poll through the registry instead, which
+    // injects a fresh remoteEntry script on every attempt.
+    const existing = remoteRegistry.getRemote('host');
+    remoteRegistry.registerRemote({
+      name: 'host',
+      url: existing && existing.url ? existing.url : hostRemoteEntry,
+      exposes: ['./store'],
+    });
+
+    const poll = async () => {
+      try {
+        const module = await remoteRegistry.loadContainerModule('host/store');
+        if (module && module.default) {
+          isPolling = false;
+          pollTimer = null;
+          adoptHostStore(module.default);
+          return;
+        }
+      } catch (error) {
+        // Host still unavailable, try again later with a fresh remoteEntry
+        remoteRegistry.reloadRemote('host');
+      }
+      if (isPolling) {
+        pollTimer = setTimeout(poll, pollInterval);
       }
-      return state;
     };
 
-    fallbackStore = createStore(fallbackReducer);
-    return fallbackStore;
+    pollTimer = setTimeout(poll, pollInterval);
+  };
+
+  const stopPolling = () => {
+    isPolling = false;
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  };
+
+  /**
+   * Subscribe to store swaps (fallback -> host). Returns an unsubscribe function.
+   */
+  const onStoreChange = (listener) => {
+    storeListeners.push(listener);
+    return () => {
+      const index = storeListeners.indexOf(listener);
+      if (index > -1) storeListeners.splice(index, 1);
+    };
   };
 
   const loadStore = async () => {
     if (store) return store;
     if (storePromise) return storePromise;
+    // Already in standalone mode; the background poll takes care of the switch
+    if (isPolling) return fallbackStore;
 
     storePromise = (async () => {
       try {
-        const result = await safeImportHostModule('host/store', 3, 1000);
+        const result = await safeImportHostModule('host/store', retries, retryDelay);
         if (result.success && result.module && result.module.default) {
           store = result.module.default;
           console.info('✅ Host store loaded successfully');
           return store;
         } else {
           console.warn('⚠️ Host store not available, using fallback store');
-          return createFallbackStore();
+          const fallback = createFallbackStore();
+          pollForHostStore();
+          return fallback;
         }
       } catch (error) {
         console.error('❌ Failed to load host store:', error);
-        return createFallbackStore();
+        const fallback = createFallbackStore();
+        pollForHostStore();
+        return fallback;
       } finally {
         storePromise = null;
       }
@@ -149,7 +279,11 @@ export const createSafeStoreLoader = () => {
   return {
     loadStore,
     getStore: () => store,
+    getFallbackStore: createFallbackStore,
     isStoreLoaded: () => store !== null,
+    isUsingFallback: () => store === null && fallbackStore !== null,
+    onStoreChange,
+    stopPolling,
   };
 };
 
@@ -162,14 +296,14 @@ export const createSafeUtilsLoader = () => {
 
   // Fallback utilities (minimal implementations)
   const fallbackUtils = {
-    formatCurrency: (amount, currency = 'USD') => {
-      return new Intl.NumberFormat('en-US', {
+    formatCurrency: (amount, currency = 'USD', locale = 'en-US') => {
+      return new Intl.NumberFormat(locale, {
         style: 'currency',
         currency: currency,
       }).format(amount);
     },
-    formatDate: (date) => {
-      return new Date(date).toLocaleDateString();
+    formatDate: (date, format, locale) => {
+      return new Date(date).toLocaleDateString(locale);
     },
     logger: {
       info: (...args) => console.log('[INFO]', ...args),
@@ -177,12 +311,9 @@ export const createSafeUtilsLoader = () => {
       warn: (...args) => console.warn('[WARN]', ...args),
       debug: (...args) => console.log('[DEBUG]', ...args),
     },
-    eventEmitter: {
-      on: () => {},
-      off: () => {},
-      emit: () => {},
-      once: () => {},
-    },
+    // Page-wide bus, so events still flow between micro frontends without the host
+    eventEmitter: getSharedEventEmitter(),
+    apiCall,
     storage: {
       get: (key, defaultValue = null) => {
         try {
@@ -220,6 +351,8 @@ export const createSafeUtilsLoader = () => {
         const result = await safeImportHostModule('host/utils', 3, 1000);
         if (result.success && result.module) {
           utils = result.module.default || result.module;
+          // Anyone subscribed through the fallback bus keeps receiving events
+          joinEventEmitters(fallbackUtils.eventEmitter, utils.eventEmitter);
           console.info('✅ Host utils loaded successfully');
           return utils;
         } else {
@@ -240,11 +373,17 @@ export const createSafeUtilsLoader = () => {
   return {
     loadUtils,
     getUtils: () => utils,
+    getFallbackUtils: () => fallbackUtils,
     isUtilsLoaded: () => utils !== null,
   };
 };
 
 // Export singleton instances
-export const storeLoader = createSafeStoreLoader();
 export const utilsLoader = createSafeUtilsLoader();
+export const storeLoader = createSafeStoreLoader({
+  getThunkExtraArgument: () => {
+    const { apiCall, eventEmitter, logger } = utilsLoader.getUtils() || utilsLoader.getFallbackUtils();
+    return { apiCall, eventEmitter, logger };
+  },
+});
 
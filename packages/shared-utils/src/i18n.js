@@ -0,0 +1,182 @@
+/**
+ * Internationalization
+ * Message catalogs per locale and namespace, with interpolation, pluralization
+ * and lazily loaded locale bundles
+ *
+ * Each micro frontend registers its own namespace of messages. Keys are written
+ * as `namespace:path.to.message`; keys without a namespace use `defaultNamespace`.
+ * Missing messages fall back to the base language (`es-MX` → `es`), then to
+ * `fallbackLocale`, then to the key itself.
+ */
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+const getPath = (messages, path) => path.split('.').reduce(
+  (value, segment) => (value && typeof value === 'object' ? value[segment] : undefined),
+  messages
+);
+
+// Plural messages are objects like { zero, one, other } picked by `count`
+const isPluralMessage = message => message !== null && typeof message === 'object' && typeof message.other === 'string';
+
+const interpolate = (message, params) => message.replace(PLACEHOLDER, (placeholder, name) => (
+  params[name] === undefined || params[name] === null ? placeholder : String(params[name])
+));
+
+/**
+ * Create an i18n instance
+ */
+export const createI18n = ({
+  locale = 'en',
+  fallbackLocale = 'en',
+  defaultNamespace = 'common',
+} = {}) => {
+  const catalogs = {};
+  const loaders = {};
+  const pending = {};
+  const listeners = new Set();
+  let currentLocale = locale;
+  // The locale of the latest setLocale() call, which wins over earlier ones still loading
+  let requestedLocale = locale;
+
+  const notify = () => listeners.forEach(listener => listener(currentLocale));
+
+  const getLocaleChain = (target) => {
+    const chain = [target, target.split('-')[0], fallbackLocale];
+    return chain.filter((value, index) => value && chain.indexOf(value) === index);
+  };
+
+  const addMessages = (target, namespace, messages) => {
+    catalogs[target] = catalogs[target] || {};
+    catalogs[target][namespace] = { ...catalogs[target][namespace], ...messages };
+    notify();
+  };
+
+  const loadBundle = (target, namespace) => {
+    const loader = loaders[namespace] && loaders[namespace][target];
+    const key = `${target}/${namespace}`;
+    if (!loader) return Promise.resolve();
+    if (!pending[key]) {
+      pending[key] = Promise.resolve()
+        .then(loader)
+        .then((bundle) => {
+          // Loaders usually return a dynamic import()
+          addMessages(target, namespace, (bundle && bundle.default) || bundle);
+          delete loaders[namespace][target];
+        })
+        .catch((error) => {
+          console.warn(`Failed to load "${namespace}" messages for ${target}:`, error);
+        })
+        .finally(() => {
+          delete pending[key];
+        });
+    }
+    return pending[key];
+  };
+
+  /**
+   * Load every registered namespace for a locale (and the locales it falls back to)
+   */
+  const loadLocale = (target) => Promise.all(
+    getLocaleChain(target).flatMap(chainLocale => Object.keys(loaders).map(namespace => loadBundle(chainLocale, namespace)))
+  );
+
+  /**
+   * Register a namespace. `bundles` maps locales to messages, or to a function
+   * returning them (or a promise of them) to load that locale only when needed.
+   */
+  const registerNamespace = (namespace, bundles) => {
+    loaders[namespace] = {};
+    Object.keys(bundles).forEach((target) => {
+      if (typeof bundles[target] === 'function') {
+        loaders[namespace][target] = bundles[target];
+      } else {
+        addMessages(target, namespace, bundles[target]);
+      }
+    });
+    // Namespaces registered after a locale switch still need that locale's bundle
+    getLocaleChain(currentLocale).forEach(target => loadBundle(target, namespace));
+  };
+
+  /**
+   * Switch locale once its messages are loaded, so text doesn't flash the fallback.
+   * A switch superseded by a later call while loading is dropped.
+   */
+  const setLocale = async (target) => {
+    if (!target) return currentLocale;
+    requestedLocale = target;
+    await loadLocale(target);
+    if (target === requestedLocale && target !== currentLocale) {
+      currentLocale = target;
+      notify();
+    }
+    return currentLocale;
+  };
+
+  const getLocale = () => currentLocale;
+
+  const findMessage = (namespace, path, target) => {
+    const chain = getLocaleChain(target);
+    for (let i = 0; i < chain.length; i += 1) {
+      const messages = catalogs[chain[i]] && catalogs[chain[i]][namespace];
+      const message = messages && getPath(messages, path);
+      if (typeof message === 'string' || isPluralMessage(message)) {
+        return { message, locale: chain[i] };
+      }
+    }
+    return null;
+  };
+
+  const exists = (key, target = currentLocale) => {
+    const [namespace, path] = key.includes(':') ? key.split(':') : [defaultNamespace, key];
+    return findMessage(namespace, path, target) !== null;
+  };
+
+  /**
+   * Translate a key. `{name}` placeholders are filled from `params`; plural
+   * messages are picked with `params.count` using the locale's plural rules.
+   */
+  const t = (key, params = {}, target = currentLocale) => {
+    const [namespace, path] = key.includes(':') ? key.split(':') : [defaultNamespace, key];
+    const found = findMessage(namespace, path, target);
+    if (!found) return key;
+
+    let { message } = found;
+    if (isPluralMessage(message)) {
+      const { count } = params;
+      if (typeof count !== 'number') {
+        message = message.other;
+      } else if (count === 0 && message.zero !== undefined) {
+        message = message.zero;
+      } else {
+        message = message[new Intl.PluralRules(found.locale).select(count)] || message.other;
+      }
+    }
+    return interpolate(message, params);
+  };
+
+  /**
+   * `t` bound to one namespace
+   */
+  const getFixedT = namespace => (key, params) => t(`${namespace}:${key}`, params);
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    addMessages,
+    registerNamespace,
+    loadLocale,
+    setLocale,
+    getLocale,
+    exists,
+    t,
+    getFixedT,
+    subscribe,
+  };
+};
+
+// Shared instance: micro frontends register namespaces on it and the host sets its locale
+export const i18n = createI18n();
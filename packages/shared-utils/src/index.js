@@ -12,6 +12,17 @@ import {
   safeImportHostModule,
   isHostAvailable 
 } from './hostLoader';
+import { remoteRegistry, createRemoteRegistry, isRetryableLoadError } from './remoteRegistry';
+import {
+  EventEmitter,
+  getSharedEventEmitter,
+  joinEventEmitters,
+  createWindowEventBridge,
+} from './eventEmitter';
+import { eventContracts } from './eventContracts';
+import { validateSchema } from './schema';
+import { createI18n, i18n } from './i18n';
+import { apiCall } from 'shared-store';
 
 // Re-export host loader utilities
 export { 
@@ -23,29 +34,53 @@ export {
   isHostAvailable 
 };
 
+// Re-export remote registry
+export { remoteRegistry, createRemoteRegistry, isRetryableLoadError };
+
+// Re-export event bus helpers
+export { EventEmitter, getSharedEventEmitter, joinEventEmitters, createWindowEventBridge };
+export { eventContracts, validateSchema };
+
+// Re-export i18n
+export { createI18n, i18n };
+
+// Default currency and locale for the formatters below. The host keeps these in
+// line with the signed-in user's preferences.
+const formatDefaults = {
+  currency: 'USD',
+  locale: 'en-US',
+};
+
+export const configureFormatting = ({ currency, locale } = {}) => {
+  if (currency) formatDefaults.currency = currency;
+  if (locale) formatDefaults.locale = locale;
+};
+
+export const getFormattingDefaults = () => ({ ...formatDefaults });
+
 // Format currency
-export const formatCurrency = (amount, currency = 'USD') => {
-  return new Intl.NumberFormat('en-US', {
+export const formatCurrency = (amount, currency = formatDefaults.currency, locale = formatDefaults.locale) => {
+  return new Intl.NumberFormat(locale, {
     style: 'currency',
     currency: currency,
   }).format(amount);
 };
 
 // Format date
-export const formatDate = (date, format = 'short') => {
+export const formatDate = (date, format = 'short', locale = formatDefaults.locale) => {
   const dateObj = typeof date === 'string' ? new Date(date) : date;
   const options = {
     short: { year: 'numeric', month: 'short', day: 'numeric' },
     long: { year: 'numeric', month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit' },
     time: { hour: '2-digit', minute: '2-digit' },
   };
-  return new Intl.DateTimeFormat('en-US', options[format] || options.short).format(dateObj);
+  return new Intl.DateTimeFormat(locale, options[format] || options.short).format(dateObj);
 };
 
 // Debounce function
 export const debounce = (func, wait) => {
   let timeout;
-  return function executedFunction(...args) {
+  const executedFunction = function (...args) {
     const later = () => {
       clearTimeout(timeout);
       func(...args);
@@ -53,6 +88,9 @@ export const debounce = (func, wait) => {
     clearTimeout(timeout);
     timeout = setTimeout(later, wait);
   };
+  // Drop a pending call, e.g. when the component using it unmounts
+  executedFunction.cancel = () => clearTimeout(timeout);
+  return executedFunction;
 };
 
 // Throttle function
@@ -107,28 +145,8 @@ export const storage = {
   },
 };
 
-// API helper
-export const apiCall = async (url, options = {}) => {
-  try {
-    const defaultOptions = {
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    };
-    
-    const response = await fetch(url, { ...defaultOptions, ...options });
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    return { success: true, data };
-  } catch (error) {
-    console.error('API call error:', error);
-    return { success: false, error: error.message };
-  }
-};
+// API helper, shared with the store's async actions
+export { apiCall };
 
 // Validation helpers
 export const validators = {
@@ -173,40 +191,10 @@ export const logger = {
 };
 
 // Event emitter for cross-micro-frontend communication
-class EventEmitter {
-  constructor() {
-    this.events = {};
-  }
-
-  on(event, callback) {
-    if (!this.events[event]) {
-      this.events[event] = [];
-    }
-    this.events[event].push(callback);
-  }
-
-  off(event, callback) {
-    if (this.events[event]) {
-      this.events[event] = this.events[event].filter(cb => cb !== callback);
-    }
-  }
-
-  emit(event, data) {
-    if (this.events[event]) {
-      this.events[event].forEach(callback => callback(data));
-    }
-  }
-
-  once(event, callback) {
-    const wrapper = (data) => {
-      callback(data);
-      this.off(event, wrapper);
-    };
-    this.on(event, wrapper);
-  }
-}
-
-export const eventEmitter = new EventEmitter();
+export const eventEmitter = getSharedEventEmitter();
+eventEmitter.defineEvents(eventContracts);
+// Buffer recent events for micro frontends that mount lazily
+eventEmitter.configureReplay({ bufferSize: 50 });
 
 // Calculate tax
 export const calculateTax = (amount, taxRate = 0.1) => {
@@ -281,6 +269,8 @@ export const retry = async (fn, retries = 3, delay = 1000) => {
 export default {
   formatCurrency,
   formatDate,
+  configureFormatting,
+  getFormattingDefaults,
   debounce,
   throttle,
   storage,
@@ -300,4 +290,6 @@ export default {
   retry,
   storeLoader,
   utilsLoader,
+  remoteRegistry,
+  i18n,
 };
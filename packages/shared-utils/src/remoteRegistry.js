@@ -0,0 +1,293 @@
+/**
+ * Remote Registry
+ * Keeps track of Module Federation remotes and their exposed modules at runtime
+ *
+ * Remotes are registered with a name, a remoteEntry URL and the paths they expose.
+ * Modules are then loaded through the webpack container API
+ * (`__webpack_init_sharing__` / `container.init` / `container.get`), so new
+ * exposes don't need a code change in the loader.
+ */
+
+/**
+ * Split a module path such as 'host/store' into its remote name and exposed path
+ */
+export const parseModulePath = (modulePath) => {
+  const [remoteName, ...rest] = String(modulePath).split('/');
+  if (!remoteName || rest.length === 0) {
+    throw new Error(`Invalid module path: ${modulePath}. Expected '<remote>/<module>'.`);
+  }
+  return { remoteName, exposedPath: `./${rest.join('/')}` };
+};
+
+/**
+ * Whether loading a module might work on another attempt: the remoteEntry
+ * script or a chunk failed to download. A missing registration or exposed
+ * module fails the same way every time.
+ */
+export const isRetryableLoadError = (error) => Boolean(error) && (
+  error.retryable === true
+  || error.name === 'ChunkLoadError'
+  || error.name === 'ScriptExternalLoadError'
+  || (error.name === 'TypeError' && /fetch|network/i.test(error.message))
+);
+
+const captureStack = () => {
+  const limit = Error.stackTraceLimit;
+  Error.stackTraceLimit = 50;
+  const stack = new Error().stack || '';
+  Error.stackTraceLimit = limit;
+  return stack;
+};
+
+/**
+ * Create a remote registry
+ */
+export const createRemoteRegistry = () => {
+  const remotes = {};
+  const moduleLoaders = {};
+
+  /**
+   * Inject the remoteEntry script and resolve with the container it defines
+   */
+  const loadRemoteEntry = (remote) => {
+    if (typeof window !== 'undefined' && window[remote.name]) {
+      return Promise.resolve(window[remote.name]);
+    }
+    if (!remote.url) {
+      return Promise.reject(new Error(`Remote "${remote.name}" has no remoteEntry URL`));
+    }
+    if (remote.entryPromise) return remote.entryPromise;
+
+    remote.entryPromise = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      // After a reload, bypass any cached copy of the remoteEntry
+      script.src = remote.reloadToken
+        ? `${remote.url}${remote.url.includes('?') ? '&' : '?'}reload=${remote.reloadToken}`
+        : remote.url;
+      script.type = 'text/javascript';
+      script.async = true;
+      script.dataset.remote = remote.name;
+
+      script.onload = () => {
+        const container = window[remote.name];
+        if (container) {
+          resolve(container);
+        } else {
+          remote.entryPromise = null;
+          reject(new Error(`remoteEntry for "${remote.name}" loaded but no container was found`));
+        }
+      };
+      script.onerror = () => {
+        remote.entryPromise = null;
+        script.remove();
+        const error = new Error(`Failed to load remoteEntry for "${remote.name}" from ${remote.url}`);
+        error.retryable = true;
+        reject(error);
+      };
+
+      document.head.appendChild(script);
+    });
+
+    return remote.entryPromise;
+  };
+
+  /**
+   * Load the container and initialise it with the shared scope (once per remote)
+   */
+  const getContainer = async (remote) => {
+    const container = await loadRemoteEntry(remote);
+
+    if (!remote.initialized) {
+      // These globals only exist inside a webpack build with Module Federation
+      if (typeof __webpack_init_sharing__ === 'function') {
+        await __webpack_init_sharing__('default');
+      }
+      if (typeof __webpack_share_scopes__ !== 'undefined' && container.init) {
+        await container.init(__webpack_share_scopes__.default);
+      }
+      remote.initialized = true;
+    }
+
+    return container;
+  };
+
+  /**
+   * Forget the remoteEntry scripts and the container global of a remote
+   */
+  const dropContainer = (name) => {
+    if (typeof document !== 'undefined') {
+      document.querySelectorAll(`script[data-remote="${name}"]`).forEach(script => script.remove());
+    }
+    if (typeof window !== 'undefined') {
+      // remoteEntry declares a global var, which can't be deleted
+      window[name] = undefined;
+    }
+  };
+
+  /**
+   * Register (or update) a remote
+   */
+  const registerRemote = ({ name, url = null, exposes = [] }) => {
+    if (!name) {
+      throw new Error('Remote name is required');
+    }
+
+    const existing = remotes[name];
+    if (existing && existing.url === url) {
+      exposes.forEach(exposedPath => registerExposedModule(name, exposedPath));
+      return existing;
+    }
+
+    // The remoteEntry moved: the old container must not be reused for the new URL
+    if (existing) {
+      dropContainer(name);
+    }
+
+    // New remote, or the remoteEntry moved: start from a clean container state
+    remotes[name] = {
+      name,
+      url,
+      exposes: [...new Set(exposes)],
+      entryPromise: null,
+      initialized: false,
+      reloadToken: null,
+    };
+
+    return remotes[name];
+  };
+
+  /**
+   * Register an exposed path (e.g. './store') on an already registered remote
+   */
+  const registerExposedModule = (remoteName, exposedPath) => {
+    const remote = remotes[remoteName];
+    if (!remote) {
+      throw new Error(`Remote "${remoteName}" is not registered`);
+    }
+    if (!remote.exposes.includes(exposedPath)) {
+      remote.exposes.push(exposedPath);
+    }
+  };
+
+  /**
+   * Register a custom loader for a module path, e.g. a static import that
+   * webpack resolves through the build-time remotes config
+   */
+  const registerModule = (modulePath, loader) => {
+    if (typeof loader !== 'function') {
+      throw new Error(`Loader for ${modulePath} must be a function`);
+    }
+    moduleLoaders[modulePath] = loader;
+  };
+
+  /**
+   * Drop the loaded container so the next loadModule() re-fetches the remoteEntry
+   */
+  const reloadRemote = (name) => {
+    const remote = remotes[name];
+    if (!remote) return;
+
+    dropContainer(name);
+    remote.entryPromise = null;
+    remote.initialized = false;
+    remote.reloadToken = Date.now();
+  };
+
+  const unregisterRemote = (name) => {
+    delete remotes[name];
+  };
+
+  const unregisterModule = (modulePath) => {
+    delete moduleLoaders[modulePath];
+  };
+
+  /**
+   * Check whether a module path can be resolved by the registry
+   */
+  const isRegistered = (modulePath) => {
+    if (moduleLoaders[modulePath]) return true;
+    try {
+      const { remoteName, exposedPath } = parseModulePath(modulePath);
+      return Boolean(remotes[remoteName] && remotes[remoteName].exposes.includes(exposedPath));
+    } catch (error) {
+      return false;
+    }
+  };
+
+  /**
+   * Load a module by path. Custom loaders take precedence over container lookups.
+   */
+  const loadModule = async (modulePath) => {
+    if (moduleLoaders[modulePath]) {
+      return moduleLoaders[modulePath]();
+    }
+    return loadContainerModule(modulePath);
+  };
+
+  /**
+   * Load a module from its remote's container, skipping any custom loader
+   */
+  const loadContainerModule = async (modulePath) => {
+    const { remoteName, exposedPath } = parseModulePath(modulePath);
+    const remote = remotes[remoteName];
+
+    if (!remote || !remote.exposes.includes(exposedPath)) {
+      throw new Error(`Unregistered module path: ${modulePath}. Register it with remoteRegistry.registerRemote() first.`);
+    }
+
+    const container = await getContainer(remote);
+    const factory = await container.get(exposedPath);
+    return factory();
+  };
+
+  /**
+   * Name of the remote whose code is on the call stack, or null for the host's
+   * own code. A stack frame belongs to a remote when its script is served from
+   * the directory of the remote's remoteEntry; the most specific match wins.
+   *
+   * Remotes on the host's origin must be served from their own path (e.g.
+   * /product/remoteEntry.js): a remote at the root of the host origin can't be
+   * told apart from the host and is never reported.
+   */
+  const findCallerRemote = (stack = captureStack()) => {
+    const hostOrigin = typeof window !== 'undefined' ? window.location.origin : undefined;
+    const getBase = (url) => {
+      try {
+        const { href } = new URL(url, hostOrigin);
+        return href.slice(0, href.lastIndexOf('/') + 1);
+      } catch (error) {
+        return null;
+      }
+    };
+
+    const candidates = Object.values(remotes)
+      .map(remote => ({ name: remote.name, base: remote.url && getBase(remote.url) }))
+      .filter(({ base }) => base && base !== `${hostOrigin}/`)
+      .sort((a, b) => b.base.length - a.base.length);
+
+    const urls = stack.match(/https?:\/\/[^\s)]+/g) || [];
+    for (const url of urls) {
+      const match = candidates.find(({ base }) => url.startsWith(base));
+      if (match) return match.name;
+    }
+    return null;
+  };
+
+  return {
+    registerRemote,
+    registerExposedModule,
+    registerModule,
+    reloadRemote,
+    unregisterRemote,
+    unregisterModule,
+    isRegistered,
+    loadModule,
+    loadContainerModule,
+    findCallerRemote,
+    getRemote: (name) => remotes[name] || null,
+    getRemotes: () => Object.values(remotes),
+  };
+};
+
+// Export singleton instance
+export const remoteRegistry = createRemoteRegistry();
@@ -0,0 +1,79 @@
+/**
+ * Schema Validation
+ * Minimal JSON-schema-like validator for payloads shared between micro frontends
+ *
+ * Supported keywords: type, enum, minimum, maximum, required, properties,
+ * additionalProperties (false only) and items.
+ */
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const matchesType = (type, value) => {
+  const types = Array.isArray(type) ? type : [type];
+  return types.some((expected) => {
+    if (expected === 'integer') return Number.isInteger(value);
+    if (expected === 'number') return typeof value === 'number' && !Number.isNaN(value);
+    return typeOf(value) === expected;
+  });
+};
+
+/**
+ * Validate a value against a schema. Returns a list of error messages (empty when valid).
+ */
+export const validateSchema = (schema, value, path = 'payload') => {
+  if (!schema) return [];
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    const expected = Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+    return [`${path} should be ${expected}, got ${typeOf(value)}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} should be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} should be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+
+    Object.keys(properties).forEach((key) => {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(properties[key], value[key], `${path}.${key}`));
+      }
+    });
+
+    if (schema.additionalProperties === false) {
+      Object.keys(value)
+        .filter(key => !properties[key])
+        .forEach(key => errors.push(`${path}.${key} is not allowed`));
+    }
+  }
+
+  if (typeOf(value) === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+};